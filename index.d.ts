@@ -1,9 +1,137 @@
 // index.d.ts - TypeScript definitions
 
+export interface RetryOptions {
+  /** Total attempts per request, including the first (default: 1, no retries) */
+  maxAttempts?: number;
+  /** Base backoff delay in ms (default: 200) */
+  initialDelay?: number;
+  /** Upper bound for a single backoff delay or Retry-After wait in ms (default: 10000) */
+  maxDelay?: number;
+  /** Backoff multiplier per attempt (default: 2) */
+  factor?: number;
+  /** Apply full jitter to backoff delays (default: true) */
+  jitter?: boolean;
+  /** HTTP status codes that are retried (default: 408, 429, 500, 502, 503, 504) */
+  retryableStatusCodes?: number[];
+}
+
+export interface BatchingOptions {
+  /** Events per batch request; reaching it triggers a flush (default: 50) */
+  maxBatchSize?: number;
+  /** Interval between background flushes in ms (default: 5000) */
+  flushInterval?: number;
+  /** Maximum buffered events; the oldest are dropped beyond it (default: 10000) */
+  maxQueueSize?: number;
+}
+
+export interface SpoolOptions {
+  /** Directory holding the spool files; one directory per process */
+  directory: string;
+  /** Maximum spool file size in bytes; new events are dropped beyond it (default: 10 MB) */
+  maxBytes?: number;
+  /** Interval between replay attempts in ms (default: 60000) */
+  replayInterval?: number;
+  /** Events per request when replaying (default: 50) */
+  replayBatchSize?: number;
+  /** What to do with unparseable lines: drop them, or move them to events.corrupt.ndjson (default: 'skip') */
+  corruptLines?: 'skip' | 'quarantine';
+}
+
+/**
+ * Cache entry written to the assignment store
+ */
+export interface CachedAssignment {
+  assignment: AssignmentResponse;
+  /** When the assignment stops being fresh (epoch ms) */
+  expiresAt: number;
+}
+
+/**
+ * Storage backend for cached assignments. Methods may return results
+ * directly or as promises; entries should expire after ttlMs.
+ */
+export interface AssignmentStore {
+  get(key: string): CachedAssignment | null | undefined | Promise<CachedAssignment | null | undefined>;
+  set(key: string, value: CachedAssignment, ttlMs: number): void | Promise<void>;
+  delete(key: string): void | Promise<void>;
+  clear(): void | Promise<void>;
+  /** Optional; called every 5 minutes to drop expired entries */
+  cleanup?(): void | Promise<void>;
+  /** Optional; merged into getCacheStats() */
+  getStats?(): Partial<CacheStats> | Promise<Partial<CacheStats>>;
+}
+
+export interface CacheStats {
+  hits: number;
+  /** Expired entries served through staleWhileRevalidate or serveStaleOnError */
+  staleHits: number;
+  misses: number;
+  /** Entries currently stored (default store only) */
+  size?: number;
+  /** Approximate memory used by stored entries (default store only) */
+  bytes?: number;
+  /** Entries dropped to stay within cacheMaxEntries/cacheMaxBytes (default store only) */
+  evictions?: number;
+  /** Entries dropped because their TTL passed (default store only) */
+  expirations?: number;
+}
+
+export interface MemoryAssignmentStoreOptions {
+  maxEntries?: number;
+  maxBytes?: number;
+}
+
+/**
+ * How trackOutcome handles experiments that served a fallback prompt:
+ * 'skip' resolves without sending, 'record' sends the event with is_fallback,
+ * 'throw' throws AssignmentNotFoundError
+ */
+export type FallbackTrackingPolicy = 'skip' | 'record' | 'throw';
+
+export interface MetricDefinition {
+  /** Smallest accepted value (default: no limit) */
+  min?: number;
+  /** Largest accepted value (default: no limit) */
+  max?: number;
+  /** Direction used by Bayesian analysis (default: true) */
+  higherIsBetter?: boolean;
+}
+
 export interface ClientOptions {
+  /** Named metrics accepted by trackOutcome; names use letters, digits and underscores */
+  metrics?: Record<string, MetricDefinition>;
   baseUrl?: string;
   timeout?: number;
   cacheTtl?: number;
+  retry?: RetryOptions;
+  /** Default prompt content per experiment ID, served when an assignment cannot be fetched */
+  fallbackPrompts?: Record<string, string>;
+  /** What trackOutcome does when a fallback was served (default: 'skip') */
+  fallbackTracking?: FallbackTrackingPolicy;
+  /** Assign variants locally from downloaded experiment configs and report exposures in the background */
+  localEvaluation?: boolean | LocalEvaluationOptions;
+  /** Periodically re-fetch the configs of experiments this client has used */
+  configPolling?: boolean | ConfigPollingOptions;
+  /** Called when a polled experiment config differs from the previous one */
+  onConfigChange?: (change: ConfigChange) => void;
+  /** Maximum cached assignments before least recently used entries are evicted (default: 100000) */
+  cacheMaxEntries?: number;
+  /** Approximate maximum cache memory in bytes (default: unlimited) */
+  cacheMaxBytes?: number;
+  /** Serve an expired assignment for up to this many ms while it is refreshed in the background (default: 0) */
+  staleWhileRevalidate?: number;
+  /** Serve an expired assignment for up to this many ms when the platform is unreachable (default: 0) */
+  serveStaleOnError?: number;
+  /** Assignment storage backend (default: process-local MemoryAssignmentStore) */
+  assignmentStore?: AssignmentStore;
+  /** Buffer tracked events in memory and send them in batches */
+  batching?: boolean | BatchingOptions;
+  /** Persist events that fail to send and replay them later (a directory path or options) */
+  spool?: string | SpoolOptions;
+  /** Maximum serialized size of event metadata in bytes (default: 10240) */
+  maxMetadataBytes?: number;
+  /** Called when a background operation fails, with the affected events if any */
+  onError?: (error: Error, events?: any[]) => void;
 }
 
 export interface PromptMetadata {
@@ -24,11 +152,54 @@ export interface ExperimentMetadata {
 export interface AssignmentResponse {
   prompt_content: string;
   variant_name: string;
-  variant_id: string;
+  /** null for fallback assignments */
+  variant_id: string | null;
   is_control: boolean;
-  assignment_id: string;
-  prompt_metadata: PromptMetadata;
+  /** null for fallback assignments */
+  assignment_id: string | null;
+  /** null for fallback assignments */
+  prompt_metadata: PromptMetadata | null;
   experiment_metadata: ExperimentMetadata;
+  /** Set when an expired cached assignment was served */
+  is_stale?: boolean;
+  /** Set when the registered fallback prompt was served because the assignment request failed */
+  is_fallback?: boolean;
+}
+
+export interface VariantConfig {
+  variant_id: string;
+  variant_name: string;
+  is_control: boolean;
+  /** Relative traffic weight; variants with weight 0 receive no traffic (default: 1) */
+  weight?: number;
+  prompt_content: string;
+  prompt_metadata?: PromptMetadata;
+}
+
+export interface ExperimentConfig {
+  experiment_id: string;
+  experiment_name?: string;
+  /** Only active experiments are assigned locally */
+  status?: 'active' | 'paused' | string;
+  variants: VariantConfig[];
+}
+
+export interface LocalEvaluationOptions {
+  /** Exposures per report request (default: 100) */
+  exposureBatchSize?: number;
+  /** Interval between exposure reports in ms (default: 5000) */
+  exposureFlushInterval?: number;
+}
+
+export interface ConfigPollingOptions {
+  /** Interval between polls in ms (default: 60000) */
+  interval?: number;
+}
+
+export interface ConfigChange {
+  experimentId: string;
+  previous: ExperimentConfig;
+  current: ExperimentConfig;
 }
 
 export type Outcome = 'success' | 'failure';
@@ -41,11 +212,106 @@ export interface TrackingOptions {
   assignmentId?: string;
   score?: number;
   userFeedback?: UserFeedback;
+  /** Time taken by the prompted operation in ms */
+  latencyMs?: number;
+  /** Prompt (input) tokens used */
+  promptTokens?: number;
+  /** Completion (output) tokens used */
+  completionTokens?: number;
+  /** Model that served the request, at most 256 characters */
+  model?: string;
+  /** Any JSON object, at most maxMetadataBytes when serialized */
+  metadata?: Record<string, any>;
+  /** Values of metrics defined in the metrics client option */
+  metrics?: Record<string, number>;
+  /** Deduplicates deliveries of this event, at most 255 characters (default: a random UUID) */
+  idempotencyKey?: string;
+}
+
+export interface BulkTrackingItem extends TrackingOptions {
+  outcome: Outcome;
+}
+
+export interface BulkTrackingOptions {
+  /** Events per request (default: 500) */
+  batchSize?: number;
+  /** Batches sent at once (default: 1) */
+  concurrency?: number;
+}
+
+export interface BulkTrackingResult {
+  /** Index of the item in the input */
+  index: number;
+  /** False when the item was invalid or failed to send */
+  ok: boolean;
+  status: 'sent' | 'failed' | 'invalid' | 'skipped' | 'spooled';
+  /** Server result for the event, when reported */
+  data?: EventResponse;
+  error?: Error;
+}
+
+export interface BulkTrackingSummary {
+  sent: number;
+  failed: number;
+  invalid: number;
+  skipped: number;
+  spooled: number;
+  /** One result per input item, in input order */
+  results: BulkTrackingResult[];
+}
+
+export interface UsageInfo {
+  promptTokens?: number | null;
+  completionTokens?: number | null;
+  model?: string | null;
+  metrics?: Record<string, number>;
+  /** Merged over WithExperimentOptions.metadata */
+  metadata?: Record<string, any>;
+}
+
+export interface MultiAssignmentResult {
+  /** Assignment per experiment ID; null when assignment failed and no fallback was registered */
+  assignments: Record<string, AssignmentResponse | null>;
+  /** Error per experiment ID whose assignment is null */
+  errors: Record<string, Error>;
+}
+
+export interface RequestContext {
+  userId?: string;
+  sessionId?: string;
+}
+
+export interface CurrentContext {
+  userId: string | null;
+  sessionId: string | null;
+  /** Experiments assigned to this identity inside the context */
+  experimentIds: string[];
+}
+
+export interface WithExperimentOptions {
+  experimentId: string;
+  /** Assign by user; takes precedence over sessionId */
+  userId?: string;
+  /** Assign by session; with neither, the runWithContext identity or else a random assignment is used */
+  sessionId?: string;
+  /** Derive a 0-10 score from the result; null or undefined tracks no score */
+  scorer?: (result: any, assignment: AssignmentResponse) => number | null | undefined | Promise<number | null | undefined>;
+  /** Derive token usage, model and metadata from the result */
+  usage?: (result: any, assignment: AssignmentResponse) => UsageInfo | null | undefined | Promise<UsageInfo | null | undefined>;
+  /** Metadata tracked with the outcome */
+  metadata?: Record<string, any>;
 }
 
 export interface EventResponse {
-  id: string;
+  /** Missing when the event was queued rather than sent */
+  id?: string;
   message?: string;
+  /** True when batching is enabled and the event was queued */
+  queued?: boolean;
+  /** True when the platform was unreachable and the event was written to the spool */
+  spooled?: boolean;
+  /** True when a fallback was served and fallbackTracking is 'skip' */
+  skipped?: boolean;
 }
 
 export interface EventFilters {
@@ -57,6 +323,8 @@ export interface EventFilters {
   maxScore?: number;
   feedback?: string;
   outcome?: Outcome;
+  /** Ranges of named metrics, e.g. { relevance: { min: 0.5 } } */
+  metrics?: Record<string, { min?: number; max?: number }>;
   page?: number;
   limit?: number;
 }
@@ -71,6 +339,11 @@ export interface Event {
   outcome: Outcome;
   score: number | null;
   feedback: string | null;
+  latency_ms?: number | null;
+  prompt_tokens?: number | null;
+  completion_tokens?: number | null;
+  model?: string | null;
+  metrics?: Record<string, number> | null;
   metadata: Record<string, any> | null;
   created_at: string;
 }
@@ -84,10 +357,308 @@ export interface EventsResponse {
   };
 }
 
+export interface EventIterationOptions {
+  /** Pages requested ahead of the one being consumed (default: 1) */
+  prefetch?: number;
+  /** Minimum delay between page requests in ms (default: 0) */
+  pageInterval?: number;
+  /** Times a rate-limited page request is waited out and retried (default: 5) */
+  maxRateLimitRetries?: number;
+}
+
+export interface EventExportOptions {
+  /** Output format (default: 'ndjson') */
+  format?: 'ndjson' | 'csv';
+  /** Writable stream to export to; the caller ends it. Exactly one of output and file is required */
+  output?: NodeJS.WritableStream;
+  /** File to export to; overwritten unless resuming from a checkpoint */
+  file?: string;
+  /** File recording progress after each page; an interrupted export resumes from it */
+  checkpoint?: string;
+  /** Flattened metadata keys written as CSV columns (default: the keys seen on the first page) */
+  metadataColumns?: string[];
+  /** Pages requested ahead of the one being written (default: 1) */
+  prefetch?: number;
+  /** Minimum delay between page requests in ms (default: 0) */
+  pageInterval?: number;
+  /** Times a rate-limited page request is waited out and retried (default: 5) */
+  maxRateLimitRetries?: number;
+}
+
+export interface EventExportResult {
+  /** Events exported, including those written before a resume */
+  events: number;
+  /** Bytes written, including those written before a resume */
+  bytes: number;
+  /** True when the export continued from a checkpoint */
+  resumed: boolean;
+}
+
+export interface StatsOptions {
+  /** Variant the others are compared against; getExperimentStats defaults to the config's is_control variant */
+  controlVariantId?: string | null;
+  /** Confidence level for intervals (default: 0.95) */
+  confidenceLevel?: number;
+}
+
+export interface ProportionComparison {
+  /** Variant success rate minus control success rate */
+  difference: number;
+  interval: [number, number];
+  /** Pooled two-proportion z statistic; null when every event has the same outcome */
+  zScore: number | null;
+  pValue: number | null;
+}
+
+export interface MeanComparison {
+  /** Variant mean score minus control mean score */
+  difference: number;
+  interval: [number, number];
+  tStatistic: number;
+  /** Welch-Satterthwaite degrees of freedom */
+  degreesOfFreedom: number;
+  pValue: number;
+}
+
+export interface VariantStats {
+  variantId: string;
+  isControl: boolean;
+  /** Number of events for the variant */
+  sampleSize: number;
+  outcomes: {
+    successes: number;
+    failures: number;
+    successRate: number | null;
+    /** Wilson score interval */
+    interval: [number, number] | null;
+  };
+  score: {
+    /** Events with a score */
+    count: number;
+    mean: number | null;
+    median: number | null;
+    standardDeviation: number | null;
+    interval: [number, number] | null;
+  };
+  /** Events with latency_ms */
+  latency: {
+    count: number;
+    mean: number | null;
+    median: number | null;
+    standardDeviation: number | null;
+    interval: [number, number] | null;
+  };
+  /** Per named metric, the same summary as score */
+  metrics: Record<string, VariantStats['score']>;
+  tokens: {
+    /** Events with token counts */
+    count: number;
+    meanPromptTokens: number | null;
+    meanCompletionTokens: number | null;
+  };
+  /** Count of events per feedback value */
+  feedback: Record<string, number>;
+  /** Null for the control, or when there is no control */
+  comparison: {
+    /** Two-proportion z-test; null when either variant has no outcomes */
+    successRate: ProportionComparison | null;
+    /** Welch's t-test; null with fewer than two scores per variant or zero variance */
+    score: MeanComparison | null;
+    /** Welch's t-test on latency_ms */
+    latency: MeanComparison | null;
+    /** Welch's t-test per named metric */
+    metrics: Record<string, MeanComparison | null>;
+  } | null;
+}
+
+export interface ExperimentStats {
+  totalEvents: number;
+  controlVariantId: string | null;
+  confidenceLevel: number;
+  /** Control first, then by variant ID */
+  variants: VariantStats[];
+}
+
+export interface BayesianOptions {
+  /** Variant the others are compared against; getBayesianExperimentStats defaults to the config's is_control variant */
+  controlVariantId?: string | null;
+  /** Probability mass inside credible intervals (default: 0.95) */
+  credibleLevel?: number;
+  /** Monte Carlo draws per variant and metric (default: 10000, minimum 100) */
+  samples?: number;
+  /** PRNG seed; the same seed and events give the same results (default: 1) */
+  seed?: number;
+  /** Beta prior on success rate (default: alpha 1, beta 1) */
+  prior?: { alpha?: number; beta?: number };
+  /** Metric directions; getBayesianExperimentStats defaults to the client's metrics option */
+  metrics?: Record<string, MetricDefinition>;
+}
+
+export interface PosteriorSummary {
+  posteriorMean: number;
+  credibleInterval: [number, number];
+  probabilityToBeBest: number;
+  /** Null for the control, or when there is no control */
+  probabilityToBeatControl: number | null;
+  /** Expected shortfall from the best variant if this one is chosen */
+  expectedLoss: number;
+}
+
+export interface BayesianVariantStats {
+  variantId: string;
+  isControl: boolean;
+  sampleSize: number;
+  /** Beta-Binomial posterior; null without outcomes */
+  successRate: PosteriorSummary | null;
+  /** Posterior of the mean score; null with fewer than two scores */
+  score: PosteriorSummary | null;
+  /** Posterior of each named metric's mean; null with fewer than two values */
+  metrics: Record<string, PosteriorSummary | null>;
+}
+
+export interface BayesianExperimentStats {
+  totalEvents: number;
+  controlVariantId: string | null;
+  credibleLevel: number;
+  samples: number;
+  seed: number;
+  /** Control first, then by variant ID */
+  variants: BayesianVariantStats[];
+}
+
+export interface SampleRatioOptions {
+  /** p-value below which counts are flagged (default: 0.001) */
+  threshold?: number;
+  /** Minimum total count before a low p-value is flagged (default: 100) */
+  minSampleSize?: number;
+}
+
+export interface SampleRatioCheckOptions extends SampleRatioOptions, EventIterationOptions {
+  /** 'local' counts this client's assignments; 'events' counts distinct assignments in events (default: 'local') */
+  source?: 'local' | 'events';
+  /** Event filters when source is 'events' */
+  filters?: EventFilters;
+  /** Expected traffic weight per variant ID (default: from the experiment config) */
+  weights?: Record<string, number>;
+  /** Throw SampleRatioMismatchError instead of resolving when a mismatch is found */
+  throwOnMismatch?: boolean;
+}
+
+export interface SampleRatioResult {
+  sampleSize: number;
+  chiSquare: number;
+  degreesOfFreedom: number;
+  pValue: number;
+  threshold: number;
+  /** False when sampleSize is below minSampleSize */
+  sufficientData: boolean;
+  /** Observed variants with no expected traffic */
+  unexpectedVariants: string[];
+  mismatch: boolean;
+  variants: Array<{
+    variantId: string;
+    observed: number;
+    expected: number;
+    observedShare: number | null;
+    expectedShare: number;
+  }>;
+}
+
+export interface SampleRatioCheck extends SampleRatioResult {
+  experimentId: string;
+  source: 'local' | 'events';
+}
+
+export interface RenderOptions {
+  /** Throw a ValidationError listing variables that are missing and have no default (default: false) */
+  strict?: boolean;
+  /** Applied to every inserted value, e.g. to escape HTML or XML */
+  escape?: (value: string) => string;
+}
+
+export interface TemplateVariables {
+  /** Used outside sections without a default */
+  required: string[];
+  /** Section names, variables with defaults and variables inside sections */
+  optional: string[];
+}
+
+export interface ExperimentTemplateVariables extends TemplateVariables {
+  /** Template variables per variant ID */
+  variants: Record<string, TemplateVariables>;
+}
+
+export type ChatRole = 'system' | 'user' | 'assistant';
+
+export interface ChatMessage {
+  role: ChatRole;
+  content: string;
+}
+
+/**
+ * Model parameters, named as in the OpenAI chat completions API
+ */
+export interface PromptParameters {
+  model?: string;
+  temperature?: number;
+  max_tokens?: number;
+  top_p?: number;
+  stop?: string | string[];
+  [key: string]: any;
+}
+
+/**
+ * Structured prompt, stored as JSON in prompt_content
+ */
+export interface ChatPrompt {
+  messages: ChatMessage[];
+  parameters: PromptParameters;
+}
+
+export interface ChatRequestOptions extends RenderOptions {
+  /** Template variables for every prompt message */
+  variables?: Record<string, any>;
+  /** Messages appended after the prompt's, e.g. conversation history and the user's input */
+  messages?: ChatMessage[];
+  /** Parameters that override the prompt's */
+  parameters?: PromptParameters;
+}
+
+export interface MiddlewareOptions {
+  /** Experiments assigned on every request */
+  experiments: string[];
+  /** Resolve the request's identity (default: user.id, or state.user.id in Koa, and the session cookie) */
+  identify?: (request: any) => { userId?: string; sessionId?: string } | Promise<{ userId?: string; sessionId?: string }>;
+  /** Cookie holding the session ID for the default identify (default: 'sessionId') */
+  sessionCookie?: string;
+  /** Pass assignment errors that no fallback covers to the framework instead of reporting them through onError (default: false) */
+  failOnError?: boolean;
+}
+
+export interface RequestTrackingOptions extends Omit<TrackingOptions, 'experimentId' | 'userId' | 'sessionId' | 'assignmentId'> {
+  /** Required when the middleware assigns more than one experiment */
+  experimentId?: string;
+}
+
+/**
+ * Properties set by the middleware (on req, ctx.state or the Fastify request)
+ */
+export interface RequestExperiments {
+  /** Assignment per experiment ID; null when assignment failed and no fallback was registered */
+  promptAssignments: Record<string, AssignmentResponse | null>;
+  /** Track for this request's identity; resolves with { skipped: true } when the experiment has no assignment */
+  trackOutcome(outcome: Outcome, options?: RequestTrackingOptions): Promise<EventResponse>;
+  trackSuccess(options?: RequestTrackingOptions): Promise<EventResponse>;
+  trackFailure(options?: RequestTrackingOptions): Promise<EventResponse>;
+  trackFeedback(feedback: UserFeedback, options?: RequestTrackingOptions): Promise<EventResponse>;
+}
+
 export class LaikaServiceError extends Error {
   name: 'LaikaServiceError';
   statusCode?: number;
   response?: any;
+  /** Parsed Retry-After header in ms, when the server sent one */
+  retryAfter?: number;
   
   constructor(message: string, statusCode?: number, response?: any);
 }
@@ -111,11 +682,81 @@ export class AssignmentNotFoundError extends Error {
   constructor(message: string);
 }
 
+export class SampleRatioMismatchError extends Error {
+  name: 'SampleRatioMismatchError';
+  result: SampleRatioCheck;
+
+  constructor(message: string, result: SampleRatioCheck);
+}
+
+export class MemoryAssignmentStore implements AssignmentStore {
+  constructor(options?: MemoryAssignmentStoreOptions);
+  get(key: string): CachedAssignment | null;
+  set(key: string, value: CachedAssignment, ttlMs: number): void;
+  delete(key: string): void;
+  clear(): void;
+  cleanup(): void;
+  getStats(): Omit<CacheStats, 'hits' | 'staleHits' | 'misses'>;
+}
+
+/**
+ * Summarize events per variant, comparing each variant to the control
+ */
+export function analyzeExperimentEvents(events: Iterable<Event>, options?: StatsOptions): ExperimentStats;
+
+/**
+ * Bayesian comparison of variants from seeded Monte Carlo draws
+ */
+export function analyzeExperimentEventsBayesian(events: Iterable<Event>, options?: BayesianOptions): BayesianExperimentStats;
+
+/**
+ * Chi-square sample ratio mismatch test of observed counts against expected weights
+ */
+export function checkSampleRatio(observedCounts: Record<string, number>, expectedWeights: Record<string, number>, options?: SampleRatioOptions): SampleRatioResult;
+
+/**
+ * Fill a prompt template ({{name}}, {{name|default}}, {{#name}}...{{/name}}, {{^name}}...{{/name}}) with variables
+ */
+export function renderPrompt(assignmentOrTemplate: Pick<AssignmentResponse, 'prompt_content'> | string, variables?: Record<string, any>, options?: RenderOptions): string;
+
+/**
+ * List the variables a prompt template uses
+ */
+export function getTemplateVariables(assignmentOrTemplate: Pick<AssignmentResponse, 'prompt_content'> | string): TemplateVariables;
+
+/**
+ * Read an assignment's prompt as messages and parameters; plain text becomes one system message
+ */
+export function parsePrompt(assignmentOrTemplate: Pick<AssignmentResponse, 'prompt_content'> | string): ChatPrompt;
+
+/**
+ * Parse a prompt and fill every message with variables
+ */
+export function renderChatPrompt(assignmentOrTemplate: Pick<AssignmentResponse, 'prompt_content'> | string, variables?: Record<string, any>, options?: RenderOptions): ChatPrompt;
+
+/**
+ * Build an OpenAI chat completions request body from an assignment
+ */
+export function toOpenAIChatRequest(assignment: Pick<AssignmentResponse, 'prompt_content'> | string, options?: ChatRequestOptions): PromptParameters & { messages: ChatMessage[] };
+
+/**
+ * Build an Anthropic messages request body from an assignment; max_tokens is required
+ */
+export function toAnthropicMessagesRequest(assignment: Pick<AssignmentResponse, 'prompt_content'> | string, options?: ChatRequestOptions): {
+  model?: string;
+  system?: string;
+  messages: Array<{ role: 'user' | 'assistant'; content: string }>;
+  max_tokens: number;
+  stop_sequences?: string[];
+  [key: string]: any;
+};
+
 export class LaikaTestClient {
   readonly apiKey: string;
   readonly baseUrl: string;
   readonly timeout: number;
   readonly cacheTtl: number;
+  readonly retry: Required<RetryOptions>;
 
   constructor(apiKey: string, options?: ClientOptions);
 
@@ -129,11 +770,57 @@ export class LaikaTestClient {
    */
   getPromptForSession(experimentId: string, sessionId: string): Promise<AssignmentResponse>;
 
+  /**
+   * Get prompt assignments for several experiments for a user, fetching cache misses in one request;
+   * experiments whose assignment fails without a fallback map to null, with their error in errors
+   */
+  getPromptsForUser(experimentIds: string[], userId: string): Promise<MultiAssignmentResult>;
+
+  /**
+   * Get prompt assignments for several experiments for a session (see getPromptsForUser)
+   */
+  getPromptsForSession(experimentIds: string[], sessionId: string): Promise<MultiAssignmentResult>;
+
+  /**
+   * Get prompt assignment for the identity set by runWithContext
+   */
+  getPrompt(experimentId: string): Promise<AssignmentResponse>;
+
+  /**
+   * Run fn with an identity picked up by getPrompt, trackOutcome and withExperiment in its async call tree
+   */
+  runWithContext<T>(context: RequestContext, fn: () => T): T;
+
+  /**
+   * Identity set by runWithContext, or null outside one
+   */
+  getContext(): CurrentContext | null;
+
   /**
    * Get random prompt assignment
    */
   getRandomPrompt(experimentId: string): Promise<AssignmentResponse>;
 
+  /**
+   * Download experiment configs ahead of the first local assignment
+   */
+  loadExperimentConfigs(experimentIds: string[]): Promise<ExperimentConfig[]>;
+
+  /**
+   * Re-fetch the configs of every experiment this client has used; resolves with the ones that changed
+   */
+  pollExperimentConfigs(): Promise<ConfigChange[]>;
+
+  /**
+   * Register the prompt served when an experiment's assignment cannot be fetched
+   */
+  setFallbackPrompt(experimentId: string, content: string): void;
+
+  /**
+   * Remove a registered fallback prompt
+   */
+  removeFallbackPrompt(experimentId: string): void;
+
   /**
    * Track experiment outcome
    */
@@ -154,18 +841,98 @@ export class LaikaTestClient {
    */
   trackFeedback(feedback: UserFeedback, options?: TrackingOptions): Promise<EventResponse>;
 
+  /**
+   * Track many outcomes in batches; invalid items are reported per item and the valid ones are sent
+   */
+  trackOutcomes(events: BulkTrackingItem[], options?: BulkTrackingOptions): Promise<BulkTrackingSummary>;
+
+  /**
+   * Get an assignment, run fn with it, and track success or failure with the elapsed time
+   */
+  withExperiment<T>(options: WithExperimentOptions, fn: (assignment: AssignmentResponse) => T | Promise<T>): Promise<T>;
+
+  /**
+   * Express middleware that assigns experiments to each request and sets RequestExperiments on req
+   */
+  expressMiddleware(options: MiddlewareOptions): (req: any, res: any, next: (error?: any) => void) => void;
+
+  /**
+   * Koa middleware that sets RequestExperiments on ctx.state
+   */
+  koaMiddleware(options: MiddlewareOptions): (ctx: any, next: () => Promise<any>) => Promise<void>;
+
+  /**
+   * Fastify plugin that sets RequestExperiments on the request
+   */
+  fastifyPlugin(options: MiddlewareOptions): (fastify: any, options: any, done: (error?: Error) => void) => void;
+
+  /**
+   * Send all queued events and exposures; resolves once everything queued so far is sent or spooled
+   */
+  flush(): Promise<{ spooled: number }>;
+
+  /**
+   * Resend spooled events in order; resolves with the number of events delivered
+   */
+  replaySpool(): Promise<number>;
+
   /**
    * Get filtered events for an experiment
    */
   getExperimentEvents(experimentId: string, filters?: EventFilters): Promise<EventsResponse>;
 
   /**
-   * Clear assignment cache
+   * Iterate over every event matching the filters, fetching pages as needed
+   */
+  iterateExperimentEvents(experimentId: string, filters?: EventFilters, options?: EventIterationOptions): AsyncIterableIterator<Event>;
+
+  /**
+   * Stream every event matching the filters to a writable stream or file as NDJSON or CSV
+   */
+  exportExperimentEvents(experimentId: string, filters?: EventFilters, options?: EventExportOptions): Promise<EventExportResult>;
+
+  /**
+   * Fetch every event matching the filters and summarize them per variant against the control
+   */
+  getExperimentStats(experimentId: string, filters?: EventFilters, options?: StatsOptions & EventIterationOptions): Promise<ExperimentStats & { experimentId: string }>;
+
+  /**
+   * Fetch every event matching the filters and compare variants with Bayesian posteriors
+   */
+  getBayesianExperimentStats(experimentId: string, filters?: EventFilters, options?: BayesianOptions & EventIterationOptions): Promise<BayesianExperimentStats & { experimentId: string }>;
+
+  /**
+   * Distinct users and sessions this client assigned per variant, plus each random assignment
+   */
+  getAssignmentCounts(experimentId: string): Record<string, number>;
+
+  /**
+   * Reset assignment counts for one experiment, or for all experiments when omitted
+   */
+  resetAssignmentCounts(experimentId?: string): void;
+
+  /**
+   * Chi-square test of observed per-variant counts against the expected traffic weights
+   */
+  checkSampleRatioMismatch(experimentId: string, options?: SampleRatioCheckOptions): Promise<SampleRatioCheck>;
+
+  /**
+   * List the template variables of each variant in an experiment's config
+   */
+  getExperimentTemplateVariables(experimentId: string): Promise<ExperimentTemplateVariables>;
+
+  /**
+   * Get assignment cache counters (a promise when the store is asynchronous)
+   */
+  getCacheStats(): CacheStats | Promise<CacheStats>;
+
+  /**
+   * Clear assignment cache (a promise when the store is asynchronous)
    */
-  clearCache(): void;
+  clearCache(): void | Promise<void>;
 
   /**
-   * Cleanup resources and stop background processes
+   * Cleanup resources and stop background processes, draining queued events
    */
-  destroy(): void;
+  destroy(): Promise<void>;
 }
\ No newline at end of file
@@ -2,7 +2,11 @@
 
 const https = require('https');
 const http = require('http');
+const fs = require('fs');
+const crypto = require('crypto');
+const path = require('path');
 const { URL } = require('url');
+const { AsyncLocalStorage } = require('async_hooks'); // Node.js >= 12.17
 
 /**
  * Custom Error Classes
@@ -38,384 +42,3386 @@ class AssignmentNotFoundError extends Error {
   }
 }
 
+class SampleRatioMismatchError extends Error {
+  constructor(message, result) {
+    super(message);
+    this.name = 'SampleRatioMismatchError';
+    this.result = result;
+  }
+}
+
 /**
- * Assignment Storage with TTL
+ * Helpers
  */
-class AssignmentCache {
-  constructor(ttlMs = 30 * 60 * 1000) { // 30 minutes default
-    this.cache = new Map();
-    this.ttl = ttlMs;
+const DEFAULT_RETRYABLE_STATUS_CODES = [408, 429, 500, 502, 503, 504];
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Retry-After is either a number of seconds or an HTTP date
+function parseRetryAfter(value) {
+  if (value === undefined || value === null || value === '') {
+    return undefined;
   }
 
-  _generateKey(experimentId, userId, sessionId) {
-    const userKey = userId || 'null';
-    const sessionKey = sessionId || 'null';
-    return `${experimentId}:${userKey}:${sessionKey}`;
+  const seconds = Number(value);
+  if (!isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
   }
 
-  store(experimentId, userId, sessionId, assignment) {
-    const key = this._generateKey(experimentId, userId, sessionId);
-    const expiresAt = Date.now() + this.ttl;
-    
-    this.cache.set(key, {
-      assignment,
-      expiresAt
+  const date = Date.parse(value);
+  if (!isNaN(date)) {
+    return Math.max(0, date - Date.now());
+  }
+
+  return undefined;
+}
+
+// Applies fn to a value that may or may not be a promise, keeping sync values sync
+function whenResolved(value, fn) {
+  if (value && typeof value.then === 'function') {
+    return value.then(fn);
+  }
+  return fn(value);
+}
+
+// Format 32 hex characters as a UUID-shaped string
+function toUuid(hex) {
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20, 32)}`;
+}
+
+// Deterministically map a string to [0, 1)
+function hashToUnitInterval(input) {
+  const hash = crypto.createHash('sha256').update(input).digest();
+  return hash.readUInt32BE(0) / 0x100000000;
+}
+
+// Pick the variant whose cumulative weight range contains point (in [0, 1))
+function pickWeightedVariant(variants, point) {
+  const weightOf = variant => (variant.weight === undefined ? 1 : variant.weight);
+  const total = variants.reduce((sum, variant) => sum + weightOf(variant), 0);
+
+  let cumulative = 0;
+  for (const variant of variants) {
+    cumulative += weightOf(variant) / total;
+    if (point < cumulative) {
+      return variant;
+    }
+  }
+  return variants[variants.length - 1];
+}
+
+// Read one cookie from a Cookie header
+function readCookie(header, name) {
+  for (const part of String(header || '').split(';')) {
+    const separator = part.indexOf('=');
+    if (separator !== -1 && part.slice(0, separator).trim() === name) {
+      const value = part.slice(separator + 1).trim();
+      try {
+        return decodeURIComponent(value);
+      } catch (error) {
+        return value;
+      }
+    }
+  }
+  return undefined;
+}
+
+// Default identity for middleware: user ID from user.id (state.user.id in Koa), session ID from a cookie
+function identifyRequest(source, sessionCookie) {
+  const user = source.user || (source.state && source.state.user);
+  const userId = user && user.id !== undefined && user.id !== null ? String(user.id) : undefined;
+
+  let sessionId;
+  const cookies = source.cookies;
+  if (cookies && typeof cookies.get === 'function') {
+    sessionId = cookies.get(sessionCookie); // Koa
+  } else if (cookies && typeof cookies === 'object') {
+    sessionId = cookies[sessionCookie]; // cookie-parser, @fastify/cookie
+  }
+  if (!sessionId && source.headers) {
+    sessionId = readCookie(source.headers.cookie, sessionCookie);
+  }
+
+  return { userId, sessionId: sessionId || undefined };
+}
+
+// Upper bound on the identities remembered as served a fallback
+const MAX_SERVED_FALLBACKS = 10000;
+
+// Metric names are used in query parameters, so they are kept simple
+const METRIC_NAME = /^[A-Za-z_][A-Za-z0-9_]{0,63}$/;
+
+// Event fields written as CSV columns, ahead of the flattened metadata
+const EXPORT_EVENT_COLUMNS = [
+  'id', 'experiment_id', 'variant_id', 'assignment_id', 'user_id', 'session_id',
+  'outcome', 'score', 'feedback', 'latency_ms', 'prompt_tokens', 'completion_tokens', 'model', 'metrics', 'created_at'
+];
+
+// Flatten nested plain objects into dotted keys; arrays and other values are leaves
+function flattenObject(value, prefix = '', result = {}) {
+  for (const key of Object.keys(value)) {
+    const item = value[key];
+    const name = prefix ? `${prefix}.${key}` : key;
+    if (item && typeof item === 'object' && !Array.isArray(item) && Object.keys(item).length > 0) {
+      flattenObject(item, name, result);
+    } else {
+      result[name] = item;
+    }
+  }
+  return result;
+}
+
+// Format a value as an RFC 4180 CSV field
+function toCsvField(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Statistics helpers
+ */
+
+// Lanczos approximation of ln(Gamma(x)) for x > 0
+const LANCZOS_COEFFICIENTS = [
+  0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313,
+  -176.61502916214059, 12.507343278686905, -0.13857109526572012,
+  9.9843695780195716e-6, 1.5056327351493116e-7
+];
+
+function logGamma(x) {
+  if (x < 0.5) {
+    return Math.log(Math.PI / Math.abs(Math.sin(Math.PI * x))) - logGamma(1 - x);
+  }
+  x -= 1;
+  let sum = LANCZOS_COEFFICIENTS[0];
+  for (let i = 1; i < LANCZOS_COEFFICIENTS.length; i++) {
+    sum += LANCZOS_COEFFICIENTS[i] / (x + i);
+  }
+  const t = x + 7.5;
+  return 0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t + Math.log(sum);
+}
+
+// Continued fraction for the incomplete beta function (modified Lentz's method)
+function betaContinuedFraction(x, a, b) {
+  const tiny = 1e-300;
+  let c = 1;
+  let d = 1 - (a + b) * x / (a + 1);
+  d = 1 / (Math.abs(d) < tiny ? tiny : d);
+  let h = d;
+
+  for (let m = 1; m <= 300; m++) {
+    const m2 = 2 * m;
+    let aa = m * (b - m) * x / ((a + m2 - 1) * (a + m2));
+    d = 1 + aa * d;
+    d = 1 / (Math.abs(d) < tiny ? tiny : d);
+    c = 1 + aa / c;
+    c = Math.abs(c) < tiny ? tiny : c;
+    h *= d * c;
+
+    aa = -(a + m) * (a + b + m) * x / ((a + m2) * (a + m2 + 1));
+    d = 1 + aa * d;
+    d = 1 / (Math.abs(d) < tiny ? tiny : d);
+    c = 1 + aa / c;
+    c = Math.abs(c) < tiny ? tiny : c;
+    const delta = d * c;
+    h *= delta;
+    if (Math.abs(delta - 1) < 1e-12) {
+      break;
+    }
+  }
+  return h;
+}
+
+// Regularized incomplete beta function I_x(a, b)
+function regularizedBeta(x, a, b) {
+  if (x <= 0) {
+    return 0;
+  }
+  if (x >= 1) {
+    return 1;
+  }
+  const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+  if (x < (a + 1) / (a + b + 2)) {
+    return front * betaContinuedFraction(x, a, b) / a;
+  }
+  return 1 - front * betaContinuedFraction(1 - x, b, a) / b;
+}
+
+// Regularized upper incomplete gamma function Q(a, x)
+function regularizedGammaQ(a, x) {
+  if (x <= 0) {
+    return 1;
+  }
+  const logFront = a * Math.log(x) - x - logGamma(a);
+
+  // Series for P(a, x) converges quickly below a + 1
+  if (x < a + 1) {
+    let term = 1 / a;
+    let sum = term;
+    for (let n = 1; n <= 500; n++) {
+      term *= x / (a + n);
+      sum += term;
+      if (Math.abs(term) < Math.abs(sum) * 1e-14) {
+        break;
+      }
+    }
+    return 1 - sum * Math.exp(logFront);
+  }
+
+  // Continued fraction for Q(a, x) (modified Lentz's method)
+  const tiny = 1e-300;
+  let b = x + 1 - a;
+  let c = 1 / tiny;
+  let d = 1 / b;
+  let h = d;
+  for (let i = 1; i <= 500; i++) {
+    const an = -i * (i - a);
+    b += 2;
+    d = an * d + b;
+    d = 1 / (Math.abs(d) < tiny ? tiny : d);
+    c = b + an / c;
+    c = Math.abs(c) < tiny ? tiny : c;
+    const delta = d * c;
+    h *= delta;
+    if (Math.abs(delta - 1) < 1e-14) {
+      break;
+    }
+  }
+  return Math.exp(logFront) * h;
+}
+
+// Upper tail probability of the chi-square distribution
+function chiSquareSurvival(statistic, degreesOfFreedom) {
+  return regularizedGammaQ(degreesOfFreedom / 2, statistic / 2);
+}
+
+// Standard normal CDF (Abramowitz & Stegun 7.1.26, absolute error below 1.5e-7)
+function normalCdf(z) {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-x * x);
+  return z >= 0 ? 0.5 * (1 + erf) : 0.5 * (1 - erf);
+}
+
+// Inverse standard normal CDF (Acklam's rational approximation)
+function normalQuantile(p) {
+  const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.357751867269, -30.66479806614716, 2.506628277459239];
+  const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+  const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+  const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+  const low = 0.02425;
+
+  if (p < low) {
+    const q = Math.sqrt(-2 * Math.log(p));
+    return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+      ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+  if (p > 1 - low) {
+    return -normalQuantile(1 - p);
+  }
+  const q = p - 0.5;
+  const r = q * q;
+  return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+    (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+// Two-sided p-value of Student's t statistic with df degrees of freedom
+function studentTTwoSidedP(t, df) {
+  return regularizedBeta(df / (df + t * t), df / 2, 0.5);
+}
+
+// Critical value t such that P(|T| > t) = 1 - confidenceLevel
+function studentTCritical(confidenceLevel, df) {
+  const alpha = 1 - confidenceLevel;
+  let low = 0;
+  let high = 1;
+  while (studentTTwoSidedP(high, df) > alpha) {
+    high *= 2;
+  }
+  for (let i = 0; i < 100; i++) {
+    const mid = (low + high) / 2;
+    if (studentTTwoSidedP(mid, df) > alpha) {
+      low = mid;
+    } else {
+      high = mid;
+    }
+  }
+  return (low + high) / 2;
+}
+
+function describeScores(scores, confidenceLevel) {
+  const count = scores.length;
+  if (count === 0) {
+    return { count: 0, mean: null, median: null, standardDeviation: null, interval: null };
+  }
+
+  const sorted = scores.slice().sort((x, y) => x - y);
+  const middle = Math.floor(count / 2);
+  const median = count % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+  const mean = scores.reduce((sum, score) => sum + score, 0) / count;
+
+  if (count < 2) {
+    return { count, mean, median, standardDeviation: null, interval: null };
+  }
+
+  const variance = scores.reduce((sum, score) => sum + (score - mean) * (score - mean), 0) / (count - 1);
+  const standardDeviation = Math.sqrt(variance);
+  const margin = studentTCritical(confidenceLevel, count - 1) * standardDeviation / Math.sqrt(count);
+  return { count, mean, median, standardDeviation, interval: [mean - margin, mean + margin] };
+}
+
+// Wilson score interval, which stays inside [0, 1] for small samples
+function wilsonInterval(successes, trials, confidenceLevel) {
+  if (trials === 0) {
+    return null;
+  }
+  const z = normalQuantile(1 - (1 - confidenceLevel) / 2);
+  const p = successes / trials;
+  const denominator = 1 + z * z / trials;
+  const center = (p + z * z / (2 * trials)) / denominator;
+  const margin = z * Math.sqrt(p * (1 - p) / trials + z * z / (4 * trials * trials)) / denominator;
+  return [Math.max(0, center - margin), Math.min(1, center + margin)];
+}
+
+// Two-proportion z-test of variant against control
+function compareProportions(variant, control, confidenceLevel) {
+  const n1 = variant.successes + variant.failures;
+  const n2 = control.successes + control.failures;
+  if (n1 === 0 || n2 === 0) {
+    return null;
+  }
+
+  const p1 = variant.successes / n1;
+  const p2 = control.successes / n2;
+  const difference = p1 - p2;
+  const z = normalQuantile(1 - (1 - confidenceLevel) / 2);
+  const unpooledError = Math.sqrt(p1 * (1 - p1) / n1 + p2 * (1 - p2) / n2);
+
+  const pooled = (variant.successes + control.successes) / (n1 + n2);
+  const pooledError = Math.sqrt(pooled * (1 - pooled) * (1 / n1 + 1 / n2));
+  const zScore = pooledError > 0 ? difference / pooledError : null;
+
+  return {
+    difference,
+    interval: [difference - z * unpooledError, difference + z * unpooledError],
+    zScore,
+    pValue: zScore === null ? null : 2 * (1 - normalCdf(Math.abs(zScore)))
+  };
+}
+
+// Welch's t-test of variant scores against control scores
+function compareMeans(variant, control, confidenceLevel) {
+  if (variant.count < 2 || control.count < 2) {
+    return null;
+  }
+
+  const v1 = variant.standardDeviation * variant.standardDeviation / variant.count;
+  const v2 = control.standardDeviation * control.standardDeviation / control.count;
+  const standardError = Math.sqrt(v1 + v2);
+  if (standardError === 0) {
+    return null;
+  }
+
+  const difference = variant.mean - control.mean;
+  const degreesOfFreedom = (v1 + v2) * (v1 + v2) /
+    (v1 * v1 / (variant.count - 1) + v2 * v2 / (control.count - 1));
+  const tStatistic = difference / standardError;
+  const margin = studentTCritical(confidenceLevel, degreesOfFreedom) * standardError;
+
+  return {
+    difference,
+    interval: [difference - margin, difference + margin],
+    tStatistic,
+    degreesOfFreedom,
+    pValue: studentTTwoSidedP(tStatistic, degreesOfFreedom)
+  };
+}
+
+// Seeded PRNG (mulberry32) returning floats in [0, 1)
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+  };
+}
+
+// Standard normal sample (Box-Muller)
+function sampleNormal(random) {
+  const u = 1 - random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+}
+
+// Gamma(shape, 1) sample (Marsaglia-Tsang)
+function sampleGamma(random, shape) {
+  if (shape < 1) {
+    return sampleGamma(random, shape + 1) * Math.pow(1 - random(), 1 / shape);
+  }
+  const d = shape - 1 / 3;
+  const c = 1 / Math.sqrt(9 * d);
+  for (;;) {
+    let x;
+    let v;
+    do {
+      x = sampleNormal(random);
+      v = 1 + c * x;
+    } while (v <= 0);
+    v = v * v * v;
+    const u = 1 - random();
+    if (Math.log(u) < 0.5 * x * x + d - d * v + d * Math.log(v)) {
+      return d * v;
+    }
+  }
+}
+
+function sampleBeta(random, alpha, beta) {
+  const x = sampleGamma(random, alpha);
+  return x / (x + sampleGamma(random, beta));
+}
+
+// Student t sample with df degrees of freedom
+function sampleStudentT(random, df) {
+  return sampleNormal(random) / Math.sqrt(2 * sampleGamma(random, df / 2) / df);
+}
+
+// Probability to be best, to beat control, and expected loss from posterior draws
+function summarizePosteriors(draws, controlIndex, samples, credibleLevel, higherIsBetter = true) {
+  const direction = higherIsBetter ? 1 : -1;
+  const wins = draws.map(() => 0);
+  const beatsControl = draws.map(() => 0);
+  const losses = draws.map(() => 0);
+
+  for (let i = 0; i < samples; i++) {
+    let best = -Infinity;
+    let bestIndex = 0;
+    draws.forEach((values, index) => {
+      if (direction * values[i] > best) {
+        best = direction * values[i];
+        bestIndex = index;
+      }
+    });
+    wins[bestIndex]++;
+    draws.forEach((values, index) => {
+      losses[index] += best - direction * values[i];
+      if (controlIndex !== -1 && direction * (values[i] - draws[controlIndex][i]) > 0) {
+        beatsControl[index]++;
+      }
     });
   }
 
-  get(experimentId, userId, sessionId) {
-    const key = this._generateKey(experimentId, userId, sessionId);
-    const entry = this.cache.get(key);
-    
-    if (!entry) {
-      return null;
+  const tail = (1 - credibleLevel) / 2;
+  return draws.map((values, index) => {
+    const sorted = Float64Array.from(values).sort();
+    const mean = values.reduce((sum, value) => sum + value, 0) / samples;
+    return {
+      posteriorMean: mean,
+      credibleInterval: [
+        sorted[Math.floor(tail * (samples - 1))],
+        sorted[Math.ceil((1 - tail) * (samples - 1))]
+      ],
+      probabilityToBeBest: wins[index] / samples,
+      probabilityToBeatControl: controlIndex === -1 || index === controlIndex ? null : beatsControl[index] / samples,
+      expectedLoss: losses[index] / samples
+    };
+  });
+}
+
+// Draws from the Student-t posterior of the mean of values
+function drawMeanPosterior(random, values, samples, credibleLevel) {
+  const { count, mean, standardDeviation } = describeScores(values, credibleLevel);
+  const scale = standardDeviation / Math.sqrt(count);
+  const draws = new Float64Array(samples);
+  for (let i = 0; i < samples; i++) {
+    draws[i] = mean + scale * sampleStudentT(random, count - 1);
+  }
+  return draws;
+}
+
+/**
+ * Accumulates events per variant and summarizes them against the control
+ *
+ * Only counters and scores are kept, so events can be streamed through it.
+ */
+class ExperimentStatsBuilder {
+  constructor() {
+    this.variants = new Map();
+    this.totalEvents = 0;
+  }
+
+  add(event) {
+    const variantId = event.variant_id;
+    if (!this.variants.has(variantId)) {
+      this.variants.set(variantId, {
+        events: 0,
+        successes: 0,
+        failures: 0,
+        scores: [],
+        latencies: [],
+        feedback: {},
+        tokenEvents: 0,
+        promptTokens: 0,
+        completionTokens: 0,
+        metrics: new Map() // metric name -> values
+      });
     }
-    
-    if (Date.now() > entry.expiresAt) {
-      this.cache.delete(key);
-      return null;
+
+    const variant = this.variants.get(variantId);
+    this.totalEvents++;
+    variant.events++;
+    if (event.outcome === 'success') {
+      variant.successes++;
+    } else if (event.outcome === 'failure') {
+      variant.failures++;
+    }
+    if (typeof event.score === 'number' && isFinite(event.score)) {
+      variant.scores.push(event.score);
+    }
+    if (event.feedback !== null && event.feedback !== undefined && event.feedback !== '') {
+      variant.feedback[event.feedback] = (variant.feedback[event.feedback] || 0) + 1;
+    }
+    if (typeof event.latency_ms === 'number' && isFinite(event.latency_ms)) {
+      variant.latencies.push(event.latency_ms);
+    }
+    if (typeof event.prompt_tokens === 'number' || typeof event.completion_tokens === 'number') {
+      variant.tokenEvents++;
+      variant.promptTokens += event.prompt_tokens || 0;
+      variant.completionTokens += event.completion_tokens || 0;
+    }
+    if (event.metrics && typeof event.metrics === 'object') {
+      for (const [name, value] of Object.entries(event.metrics)) {
+        if (typeof value === 'number' && isFinite(value)) {
+          if (!variant.metrics.has(name)) {
+            variant.metrics.set(name, []);
+          }
+          variant.metrics.get(name).push(value);
+        }
+      }
+    }
+  }
+
+  // Names of every metric seen on any variant, sorted
+  _metricNames() {
+    const names = new Set();
+    for (const variant of this.variants.values()) {
+      variant.metrics.forEach((values, name) => names.add(name));
+    }
+    return Array.from(names).sort();
+  }
+
+  build(options = {}) {
+    const { controlVariantId = null, confidenceLevel = 0.95 } = options;
+    if (typeof confidenceLevel !== 'number' || confidenceLevel <= 0 || confidenceLevel >= 1) {
+      throw new ValidationError('confidenceLevel must be between 0 and 1');
+    }
+
+    const summaries = new Map();
+    for (const [variantId, variant] of this.variants) {
+      const trials = variant.successes + variant.failures;
+      summaries.set(variantId, {
+        variantId,
+        isControl: variantId === controlVariantId,
+        sampleSize: variant.events,
+        outcomes: {
+          successes: variant.successes,
+          failures: variant.failures,
+          successRate: trials > 0 ? variant.successes / trials : null,
+          interval: wilsonInterval(variant.successes, trials, confidenceLevel)
+        },
+        score: describeScores(variant.scores, confidenceLevel),
+        latency: describeScores(variant.latencies, confidenceLevel),
+        tokens: {
+          count: variant.tokenEvents,
+          meanPromptTokens: variant.tokenEvents > 0 ? variant.promptTokens / variant.tokenEvents : null,
+          meanCompletionTokens: variant.tokenEvents > 0 ? variant.completionTokens / variant.tokenEvents : null
+        },
+        metrics: Object.fromEntries(this._metricNames().map(name => [
+          name,
+          describeScores(variant.metrics.get(name) || [], confidenceLevel)
+        ])),
+        feedback: variant.feedback,
+        comparison: null
+      });
+    }
+
+    const control = summaries.get(controlVariantId);
+    if (control) {
+      for (const summary of summaries.values()) {
+        if (summary !== control) {
+          summary.comparison = {
+            successRate: compareProportions(summary.outcomes, control.outcomes, confidenceLevel),
+            score: compareMeans(summary.score, control.score, confidenceLevel),
+            latency: compareMeans(summary.latency, control.latency, confidenceLevel),
+            metrics: Object.fromEntries(Object.keys(summary.metrics).map(name => [
+              name,
+              compareMeans(summary.metrics[name], control.metrics[name], confidenceLevel)
+            ]))
+          };
+        }
+      }
+    }
+
+    const variants = this._orderedVariantIds(controlVariantId).map(variantId => summaries.get(variantId));
+    return { totalEvents: this.totalEvents, controlVariantId, confidenceLevel, variants };
+  }
+
+  /**
+   * Monte Carlo comparison of Beta-Binomial posteriors on outcome and
+   * Student-t posteriors on the mean score (flat prior on mean and log variance)
+   */
+  buildBayesian(options = {}) {
+    const {
+      controlVariantId = null,
+      credibleLevel = 0.95,
+      samples = 10000,
+      seed = 1,
+      prior = {},
+      metrics: metricDefinitions = {}
+    } = options;
+    const { alpha = 1, beta = 1 } = prior;
+
+    if (typeof credibleLevel !== 'number' || credibleLevel <= 0 || credibleLevel >= 1) {
+      throw new ValidationError('credibleLevel must be between 0 and 1');
+    }
+    if (!Number.isInteger(samples) || samples < 100) {
+      throw new ValidationError('samples must be an integer of at least 100');
+    }
+    if (!Number.isInteger(seed)) {
+      throw new ValidationError('seed must be an integer');
+    }
+    if (!(alpha > 0) || !(beta > 0)) {
+      throw new ValidationError('prior.alpha and prior.beta must be positive');
+    }
+
+    const variantIds = this._orderedVariantIds(controlVariantId);
+    const random = createRandom(seed);
+
+    // Variants without outcomes, or with fewer than two scores, sit out that metric
+    const rateIds = variantIds.filter((variantId) => {
+      const variant = this.variants.get(variantId);
+      return variant.successes + variant.failures > 0;
+    });
+    const rateDraws = rateIds.map((variantId) => {
+      const variant = this.variants.get(variantId);
+      const values = new Float64Array(samples);
+      for (let i = 0; i < samples; i++) {
+        values[i] = sampleBeta(random, alpha + variant.successes, beta + variant.failures);
+      }
+      return values;
+    });
+
+    // Mean posteriors for score and each named metric, keyed by variant
+    const meanPosteriors = (valuesOf, higherIsBetter) => {
+      const ids = variantIds.filter(variantId => (valuesOf(this.variants.get(variantId)) || []).length >= 2);
+      const draws = ids.map(variantId => drawMeanPosterior(random, valuesOf(this.variants.get(variantId)), samples, credibleLevel));
+      const summaries = summarizePosteriors(draws, ids.indexOf(controlVariantId), samples, credibleLevel, higherIsBetter);
+      return new Map(ids.map((variantId, index) => [variantId, summaries[index]]));
+    };
+
+    const rateSummaries = summarizePosteriors(rateDraws, rateIds.indexOf(controlVariantId), samples, credibleLevel);
+    const scoreSummaries = meanPosteriors(variant => variant.scores, true);
+    const metricSummaries = this._metricNames().map((name) => {
+      const definition = metricDefinitions[name] || {};
+      return [name, meanPosteriors(variant => variant.metrics.get(name), definition.higherIsBetter !== false)];
+    });
+
+    const variants = variantIds.map((variantId) => {
+      const variant = this.variants.get(variantId);
+      const rateIndex = rateIds.indexOf(variantId);
+      return {
+        variantId,
+        isControl: variantId === controlVariantId,
+        sampleSize: variant.events,
+        successRate: rateIndex === -1 ? null : rateSummaries[rateIndex],
+        score: scoreSummaries.get(variantId) || null,
+        metrics: Object.fromEntries(metricSummaries.map(([name, summaries]) => [name, summaries.get(variantId) || null]))
+      };
+    });
+
+    return { totalEvents: this.totalEvents, controlVariantId, credibleLevel, samples, seed, variants };
+  }
+
+  // Control first, then by variant ID
+  _orderedVariantIds(controlVariantId) {
+    return Array.from(this.variants.keys()).sort((a, b) => {
+      if ((a === controlVariantId) !== (b === controlVariantId)) {
+        return a === controlVariantId ? -1 : 1;
+      }
+      return String(a).localeCompare(String(b));
+    });
+  }
+}
+
+/**
+ * Summarize events per variant, comparing each variant to the control
+ */
+function analyzeExperimentEvents(events, options = {}) {
+  return collectEvents(events).build(options);
+}
+
+/**
+ * Bayesian comparison of variants: probability to be best, probability to
+ * beat control and expected loss, from seeded Monte Carlo draws
+ */
+function analyzeExperimentEventsBayesian(events, options = {}) {
+  return collectEvents(events).buildBayesian(options);
+}
+
+function collectEvents(events) {
+  if (!events || typeof events[Symbol.iterator] !== 'function') {
+    throw new ValidationError('events must be an array');
+  }
+
+  const builder = new ExperimentStatsBuilder();
+  for (const event of events) {
+    builder.add(event);
+  }
+  return builder;
+}
+
+/**
+ * Chi-square sample ratio mismatch test of observed counts against expected weights
+ *
+ * Variants observed but not expected (missing or zero weight) are a mismatch on their own.
+ */
+function checkSampleRatio(observedCounts, expectedWeights, options = {}) {
+  const { threshold = 0.001, minSampleSize = 100 } = options;
+  if (!observedCounts || typeof observedCounts !== 'object') {
+    throw new ValidationError('observedCounts must be an object of variant counts');
+  }
+  if (!expectedWeights || typeof expectedWeights !== 'object') {
+    throw new ValidationError('expectedWeights must be an object of variant weights');
+  }
+  if (typeof threshold !== 'number' || threshold <= 0 || threshold >= 1) {
+    throw new ValidationError('threshold must be between 0 and 1');
+  }
+
+  const totalWeight = Object.values(expectedWeights).reduce((sum, weight) => sum + Math.max(0, weight), 0);
+  if (!(totalWeight > 0)) {
+    throw new ValidationError('expectedWeights must include a positive weight');
+  }
+
+  const variantIds = Array.from(new Set(Object.keys(expectedWeights).concat(Object.keys(observedCounts)))).sort();
+  const sampleSize = variantIds.reduce((sum, variantId) => sum + (observedCounts[variantId] || 0), 0);
+
+  let chiSquare = 0;
+  let expectedVariants = 0;
+  const unexpectedVariants = [];
+  const variants = variantIds.map((variantId) => {
+    const observed = observedCounts[variantId] || 0;
+    const expectedShare = Math.max(0, expectedWeights[variantId] || 0) / totalWeight;
+    const expected = expectedShare * sampleSize;
+
+    if (expectedShare > 0) {
+      expectedVariants++;
+      if (expected > 0) {
+        chiSquare += (observed - expected) * (observed - expected) / expected;
+      }
+    } else if (observed > 0) {
+      unexpectedVariants.push(variantId);
+    }
+
+    return {
+      variantId,
+      observed,
+      expected,
+      observedShare: sampleSize > 0 ? observed / sampleSize : null,
+      expectedShare
+    };
+  });
+
+  const degreesOfFreedom = Math.max(0, expectedVariants - 1);
+  const pValue = degreesOfFreedom > 0 && sampleSize > 0 ? chiSquareSurvival(chiSquare, degreesOfFreedom) : 1;
+  const sufficientData = sampleSize >= minSampleSize;
+
+  return {
+    sampleSize,
+    chiSquare,
+    degreesOfFreedom,
+    pValue,
+    threshold,
+    sufficientData,
+    unexpectedVariants,
+    mismatch: unexpectedVariants.length > 0 || (sufficientData && pValue < threshold),
+    variants
+  };
+}
+
+/**
+ * Prompt templates
+ *
+ *   {{name}}                 variable, also {{user.name}} for nested values
+ *   {{name|default text}}    variable with a default
+ *   {{#name}}...{{/name}}    section rendered when name is set and not empty or false
+ *   {{^name}}...{{/name}}    section rendered when name is missing, empty or false
+ *   \{{                      literal {{
+ */
+const TEMPLATE_TAG = /\\\{\{|\{\{\s*([#^/]?)\s*([\w.-]+)\s*(?:\|([^}]*))?\}\}/g;
+
+function parseTemplate(template) {
+  const root = { children: [] };
+  const stack = [root];
+  let lastIndex = 0;
+  let match;
+
+  TEMPLATE_TAG.lastIndex = 0;
+  while ((match = TEMPLATE_TAG.exec(template)) !== null) {
+    const current = stack[stack.length - 1];
+    const text = template.slice(lastIndex, match.index);
+    if (text) {
+      current.children.push({ type: 'text', value: text });
+    }
+    lastIndex = TEMPLATE_TAG.lastIndex;
+
+    const [tag, kind, name, defaultValue] = match;
+    if (tag === '\\{{') {
+      current.children.push({ type: 'text', value: '{{' });
+    } else if (kind === '#' || kind === '^') {
+      const section = { type: 'section', name, inverted: kind === '^', children: [] };
+      current.children.push(section);
+      stack.push(section);
+    } else if (kind === '/') {
+      if (stack.length === 1 || current.name !== name) {
+        throw new ValidationError(`Unexpected {{/${name}}} in prompt template`);
+      }
+      stack.pop();
+    } else {
+      current.children.push({ type: 'variable', name, defaultValue: defaultValue === undefined ? undefined : defaultValue.trim() });
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new ValidationError(`Unclosed section {{#${stack[stack.length - 1].name}}} in prompt template`);
+  }
+
+  const rest = template.slice(lastIndex);
+  if (rest) {
+    root.children.push({ type: 'text', value: rest });
+  }
+  return root.children;
+}
+
+function contentOf(assignmentOrTemplate) {
+  const content = typeof assignmentOrTemplate === 'string'
+    ? assignmentOrTemplate
+    : assignmentOrTemplate && assignmentOrTemplate.prompt_content;
+  if (typeof content !== 'string' && !(content && typeof content === 'object')) {
+    throw new ValidationError('Expected an assignment with prompt_content or a template string');
+  }
+  return content;
+}
+
+function lookupVariable(variables, name) {
+  return name.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), variables);
+}
+
+function isFilled(value) {
+  return !(value === undefined || value === null || value === false || value === '' ||
+    (Array.isArray(value) && value.length === 0));
+}
+
+function collectVariables(nodes, inSection, required, optional) {
+  for (const node of nodes) {
+    if (node.type === 'variable') {
+      (inSection || node.defaultValue !== undefined ? optional : required).add(node.name);
+    } else if (node.type === 'section') {
+      optional.add(node.name);
+      collectVariables(node.children, true, required, optional);
+    }
+  }
+}
+
+// Renders parsed nodes, adding variables without a value or default to missing
+function renderNodes(nodes, variables, escape, missing) {
+  return nodes.map((node) => {
+    if (node.type === 'text') {
+      return node.value;
+    }
+
+    const value = lookupVariable(variables, node.name);
+    if (node.type === 'section') {
+      return isFilled(value) !== node.inverted ? renderNodes(node.children, variables, escape, missing) : '';
+    }
+
+    if (value === undefined || value === null) {
+      if (node.defaultValue !== undefined) {
+        return node.defaultValue;
+      }
+      missing.add(node.name);
+      return '';
+    }
+
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return escape ? escape(text) : text;
+  }).join('');
+}
+
+function validateRenderArguments(variables, options) {
+  if (!variables || typeof variables !== 'object') {
+    throw new ValidationError('variables must be an object');
+  }
+  if (options.escape !== undefined && typeof options.escape !== 'function') {
+    throw new ValidationError('escape must be a function');
+  }
+}
+
+function throwIfMissing(missing, strict) {
+  if (strict && missing.size > 0) {
+    throw new ValidationError(`Missing prompt variables: ${Array.from(missing).join(', ')}`);
+  }
+}
+
+/**
+ * List the variables a template needs, across all messages of a chat prompt
+ *
+ * Variables outside sections and without defaults are required; the rest are optional.
+ */
+function getTemplateVariables(assignmentOrTemplate) {
+  const required = new Set();
+  const optional = new Set();
+
+  for (const message of parsePrompt(assignmentOrTemplate).messages) {
+    collectVariables(parseTemplate(message.content), false, required, optional);
+  }
+
+  required.forEach(name => optional.delete(name));
+  return { required: Array.from(required).sort(), optional: Array.from(optional).sort() };
+}
+
+/**
+ * Fill a prompt template with variables
+ *
+ * Missing variables render as their default or an empty string; with
+ * options.strict a ValidationError lists them instead. options.escape is
+ * applied to every inserted value.
+ */
+function renderPrompt(assignmentOrTemplate, variables = {}, options = {}) {
+  validateRenderArguments(variables, options);
+
+  const content = contentOf(assignmentOrTemplate);
+  if (parseStructuredPrompt(content)) {
+    throw new ValidationError('Chat prompts are rendered with renderChatPrompt()');
+  }
+
+  const missing = new Set();
+  const result = renderNodes(parseTemplate(content), variables, options.escape, missing);
+  throwIfMissing(missing, options.strict);
+  return result;
+}
+
+/**
+ * Chat prompts
+ *
+ * prompt_content may hold a JSON object with role-tagged messages and model
+ * parameters instead of plain text:
+ *
+ *   {"messages": [{"role": "system", "content": "..."}, {"role": "user", "content": "{{question}}"}],
+ *    "parameters": {"model": "...", "temperature": 0.2, "max_tokens": 512}}
+ *
+ * Parameters use the snake_case names of the OpenAI chat completions API.
+ */
+const CHAT_ROLES = ['system', 'user', 'assistant'];
+
+// Returns the structured prompt held by content, or null for plain text
+function parseStructuredPrompt(content) {
+  let prompt = content;
+  if (typeof content === 'string') {
+    if (!content.trimStart().startsWith('{')) {
+      return null;
+    }
+    try {
+      prompt = JSON.parse(content);
+    } catch (error) {
+      return null;
+    }
+  }
+  return prompt && typeof prompt === 'object' && Array.isArray(prompt.messages) ? prompt : null;
+}
+
+function validateMessages(messages, label) {
+  messages.forEach((message, index) => {
+    if (!message || !CHAT_ROLES.includes(message.role)) {
+      throw new ValidationError(`${label}[${index}].role must be one of: ${CHAT_ROLES.join(', ')}`);
+    }
+    if (typeof message.content !== 'string') {
+      throw new ValidationError(`${label}[${index}].content must be a string`);
+    }
+  });
+}
+
+/**
+ * Read an assignment's prompt as { messages, parameters }
+ *
+ * Plain text prompts become a single system message without parameters.
+ */
+function parsePrompt(assignmentOrTemplate) {
+  const content = contentOf(assignmentOrTemplate);
+  const prompt = parseStructuredPrompt(content);
+
+  if (!prompt) {
+    if (typeof content !== 'string') {
+      throw new ValidationError('prompt_content must be a string or an object with messages');
+    }
+    return { messages: [{ role: 'system', content }], parameters: {} };
+  }
+
+  validateMessages(prompt.messages, 'messages');
+  if (prompt.parameters !== undefined && (!prompt.parameters || typeof prompt.parameters !== 'object')) {
+    throw new ValidationError('parameters must be an object');
+  }
+
+  return {
+    messages: prompt.messages.map(({ role, content: text }) => ({ role, content: text })),
+    parameters: { ...prompt.parameters }
+  };
+}
+
+/**
+ * Parse a prompt and fill every message with variables (see renderPrompt)
+ */
+function renderChatPrompt(assignmentOrTemplate, variables = {}, options = {}) {
+  validateRenderArguments(variables, options);
+
+  const { messages, parameters } = parsePrompt(assignmentOrTemplate);
+  const missing = new Set();
+  const rendered = messages.map(message => ({
+    role: message.role,
+    content: renderNodes(parseTemplate(message.content), variables, options.escape, missing)
+  }));
+  throwIfMissing(missing, options.strict);
+  return { messages: rendered, parameters };
+}
+
+// Rendered prompt messages followed by options.messages, with options.parameters overriding the prompt's
+function buildChatRequest(assignment, options) {
+  const { variables = {}, messages: extraMessages = [], parameters: overrides = {} } = options;
+  if (!Array.isArray(extraMessages)) {
+    throw new ValidationError('messages must be an array');
+  }
+  validateMessages(extraMessages, 'messages');
+
+  const prompt = renderChatPrompt(assignment, variables, options);
+  const parameters = { ...prompt.parameters, ...overrides };
+  Object.keys(parameters).forEach((key) => {
+    if (parameters[key] === undefined) {
+      delete parameters[key];
+    }
+  });
+  return { messages: prompt.messages.concat(extraMessages), parameters };
+}
+
+// Parameters copied into Anthropic requests; stop is mapped to stop_sequences
+const ANTHROPIC_PARAMETERS = ['model', 'max_tokens', 'temperature', 'top_p', 'top_k', 'metadata', 'stop_sequences', 'stream'];
+
+/**
+ * Build an OpenAI chat completions request body from an assignment
+ */
+function toOpenAIChatRequest(assignment, options = {}) {
+  const { messages, parameters } = buildChatRequest(assignment, options);
+  return { ...parameters, messages };
+}
+
+/**
+ * Build an Anthropic messages request body from an assignment
+ *
+ * System messages are joined into the top-level system prompt and stop
+ * becomes stop_sequences. max_tokens is required by the API.
+ */
+function toAnthropicMessagesRequest(assignment, options = {}) {
+  const { messages, parameters } = buildChatRequest(assignment, options);
+  const { stop } = parameters;
+
+  if (parameters.max_tokens === undefined) {
+    throw new ValidationError('max_tokens is required for Anthropic requests; set it in the prompt parameters or options.parameters');
+  }
+
+  // The Messages API rejects unknown fields, so OpenAI-only parameters are dropped
+  const request = {};
+  for (const key of ANTHROPIC_PARAMETERS) {
+    if (parameters[key] !== undefined) {
+      request[key] = parameters[key];
+    }
+  }
+  const system = messages.filter(message => message.role === 'system').map(message => message.content);
+  if (system.length > 0) {
+    request.system = system.join('\n\n');
+  }
+  if (stop !== undefined && request.stop_sequences === undefined) {
+    request.stop_sequences = Array.isArray(stop) ? stop : [stop];
+  }
+  request.messages = messages.filter(message => message.role !== 'system');
+  return request;
+}
+
+/**
+ * Default assignment store: a process-local Map with per-entry TTL and LRU eviction
+ *
+ * Custom stores implement the same interface. Each method may return its
+ * result directly or as a promise:
+ *   get(key)              -> value, or null/undefined when missing or expired
+ *   set(key, value, ttlMs)
+ *   delete(key)
+ *   clear()
+ *   cleanup()             -> optional, called periodically to drop expired entries
+ *   getStats()            -> optional, merged into the cache statistics
+ */
+class MemoryAssignmentStore {
+  constructor(options = {}) {
+    this.entries = new Map(); // Insertion order doubles as recency order
+    this.maxEntries = options.maxEntries || Infinity;
+    this.maxBytes = options.maxBytes || Infinity;
+    this.bytes = 0;
+    this.evictions = 0;
+    this.expirations = 0;
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+
+    if (!entry) {
+      return null;
+    }
+
+    if (Date.now() > entry.expiresAt) {
+      this._remove(key, entry);
+      this.expirations++;
+      return null;
+    }
+
+    // Move to the most recently used position
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  set(key, value, ttlMs) {
+    const existing = this.entries.get(key);
+    if (existing) {
+      this._remove(key, existing);
+    }
+
+    // Approximate size: UTF-16 strings take two bytes per character
+    const size = (key.length + JSON.stringify(value).length) * 2;
+    this.entries.set(key, {
+      value,
+      expiresAt: Date.now() + ttlMs,
+      size
+    });
+    this.bytes += size;
+
+    while (this.entries.size > this.maxEntries || (this.bytes > this.maxBytes && this.entries.size > 0)) {
+      const [oldestKey, oldest] = this.entries.entries().next().value;
+      this._remove(oldestKey, oldest);
+      this.evictions++;
+    }
+  }
+
+  delete(key) {
+    const entry = this.entries.get(key);
+    if (entry) {
+      this._remove(key, entry);
+    }
+  }
+
+  clear() {
+    this.entries.clear();
+    this.bytes = 0;
+  }
+
+  cleanup() {
+    const now = Date.now();
+    for (const [key, entry] of this.entries.entries()) {
+      if (now > entry.expiresAt) {
+        this._remove(key, entry);
+        this.expirations++;
+      }
+    }
+  }
+
+  getStats() {
+    return {
+      size: this.entries.size,
+      bytes: this.bytes,
+      evictions: this.evictions,
+      expirations: this.expirations
+    };
+  }
+
+  _remove(key, entry) {
+    this.entries.delete(key);
+    this.bytes -= entry.size;
+  }
+}
+
+/**
+ * Assignment Storage with TTL
+ *
+ * Entries are kept for staleTtlMs past their TTL so they can still be served
+ * as stale. Results are synchronous with the default store and promises with
+ * an async store.
+ */
+class AssignmentCache {
+  constructor(ttlMs = 30 * 60 * 1000, store = new MemoryAssignmentStore(), staleTtlMs = 0) { // 30 minutes default
+    for (const method of ['get', 'set', 'delete', 'clear']) {
+      if (typeof store[method] !== 'function') {
+        throw new ValidationError(`assignmentStore must implement ${method}()`);
+      }
+    }
+
+    this.backend = store;
+    this.ttl = ttlMs;
+    this.staleTtl = staleTtlMs;
+    this.hits = 0;
+    this.staleHits = 0;
+    this.misses = 0;
+  }
+
+  _generateKey(experimentId, userId, sessionId) {
+    const userKey = userId || 'null';
+    const sessionKey = sessionId || 'null';
+    return `${experimentId}:${userKey}:${sessionKey}`;
+  }
+
+  store(experimentId, userId, sessionId, assignment) {
+    const key = this._generateKey(experimentId, userId, sessionId);
+    const entry = {
+      assignment,
+      expiresAt: Date.now() + this.ttl
+    };
+    return this.backend.set(key, entry, this.ttl + this.staleTtl);
+  }
+
+  // Fresh assignments only
+  get(experimentId, userId, sessionId) {
+    return whenResolved(this.getEntry(experimentId, userId, sessionId), (entry) => {
+      return entry && !entry.stale ? entry.assignment : null;
+    });
+  }
+
+  // Returns { assignment, expiresAt, stale }, including expired entries still within staleTtl;
+  // countStats = false leaves hits and misses alone for lookups that are not assignments
+  getEntry(experimentId, userId, sessionId, countStats = true) {
+    const key = this._generateKey(experimentId, userId, sessionId);
+    return whenResolved(this.backend.get(key), (entry) => {
+      const now = Date.now();
+
+      if (!entry || !entry.assignment || now > entry.expiresAt + this.staleTtl) {
+        if (countStats) {
+          this.misses++;
+        }
+        return null;
+      }
+
+      const stale = now > entry.expiresAt;
+      if (countStats && stale) {
+        this.staleHits++;
+      } else if (countStats) {
+        this.hits++;
+      }
+      return { assignment: entry.assignment, expiresAt: entry.expiresAt, stale };
+    });
+  }
+
+  delete(experimentId, userId, sessionId) {
+    const key = this._generateKey(experimentId, userId, sessionId);
+    return this.backend.delete(key);
+  }
+
+  clear() {
+    return this.backend.clear();
+  }
+
+  // Cleanup expired entries
+  cleanup() {
+    if (typeof this.backend.cleanup === 'function') {
+      return this.backend.cleanup();
+    }
+  }
+
+  getStats() {
+    const storeStats = typeof this.backend.getStats === 'function' ? this.backend.getStats() : {};
+    return whenResolved(storeStats, stats => ({
+      hits: this.hits,
+      staleHits: this.staleHits,
+      misses: this.misses,
+      ...stats
+    }));
+  }
+}
+
+/**
+ * In-memory queue that sends tracked events in batches
+ */
+class EventQueue {
+  constructor(sendBatch, options = {}) {
+    this.sendBatch = sendBatch;
+    this.maxBatchSize = options.maxBatchSize || 50;
+    this.maxQueueSize = options.maxQueueSize || 10000;
+    this.onError = options.onError || null;
+    this.queue = [];
+    this.flushing = Promise.resolve();
+
+    this.flushInterval = setInterval(() => {
+      this.flush().catch(() => {}); // Failures are reported through onError
+    }, options.flushInterval || 5000);
+  }
+
+  enqueue(event) {
+    this.queue.push(event);
+
+    // Drop the oldest events rather than grow without limit while sends are failing
+    if (this.queue.length > this.maxQueueSize) {
+      const dropped = this.queue.splice(0, this.queue.length - this.maxQueueSize);
+      this._reportError(new Error(`Event queue full, dropped ${dropped.length} events`), dropped);
+    }
+
+    if (this.queue.length >= this.maxBatchSize) {
+      this.flush().catch(() => {});
+    }
+  }
+
+  get size() {
+    return this.queue.length;
+  }
+
+  // Resolves with { spooled } once every event queued before the call has been sent or saved
+  flush() {
+    const events = this.queue.splice(0, this.queue.length);
+    const result = this.flushing.then(() => this._sendAll(events));
+    this.flushing = result.catch(() => {});
+    return result;
+  }
+
+  async _sendAll(events) {
+    let firstError = null;
+    let spooled = 0;
+
+    for (let i = 0; i < events.length; i += this.maxBatchSize) {
+      const batch = events.slice(i, i + this.maxBatchSize);
+      try {
+        await this.sendBatch(batch);
+      } catch (error) {
+        if (this._reportError(error, batch)) {
+          spooled += batch.length;
+        } else {
+          firstError = firstError || error;
+        }
+      }
+    }
+
+    if (firstError) {
+      throw firstError;
+    }
+    return { spooled };
+  }
+
+  // onError returns true when it saved the events elsewhere, so they are not lost
+  _reportError(error, events) {
+    return this.onError ? this.onError(error, events) === true : false;
+  }
+
+  destroy() {
+    clearInterval(this.flushInterval);
+    return this.flush();
+  }
+}
+
+/**
+ * File-backed NDJSON spool for events that could not be delivered
+ */
+class EventSpool {
+  constructor(directory, options = {}) {
+    if (!directory) {
+      throw new ValidationError('spool.directory is required');
+    }
+    if (options.corruptLines && !['skip', 'quarantine'].includes(options.corruptLines)) {
+      throw new ValidationError('spool.corruptLines must be "skip" or "quarantine"');
+    }
+
+    this.directory = directory;
+    this.filePath = path.join(directory, 'events.ndjson');
+    this.quarantinePath = path.join(directory, 'events.corrupt.ndjson');
+    this.maxBytes = options.maxBytes || 10 * 1024 * 1024; // 10 MB
+    this.corruptLines = options.corruptLines || 'skip';
+
+    fs.mkdirSync(directory, { recursive: true });
+  }
+
+  get size() {
+    try {
+      return fs.statSync(this.filePath).size;
+    } catch (error) {
+      return 0;
+    }
+  }
+
+  // Writes are synchronous so appends and removals never interleave
+  append(events) {
+    const data = events.map(event => JSON.stringify(event) + '\n').join('');
+
+    if (this.size + Buffer.byteLength(data) > this.maxBytes) {
+      throw new Error(`Event spool is full (${this.maxBytes} bytes), dropped ${events.length} events`);
+    }
+
+    fs.appendFileSync(this.filePath, data);
+  }
+
+  // Returns spooled events in order, dropping unparseable lines according to policy
+  readEvents() {
+    let content;
+    try {
+      content = fs.readFileSync(this.filePath, 'utf8');
+    } catch (error) {
+      return { events: [], corrupt: [] };
+    }
+
+    const events = [];
+    const corrupt = [];
+    const validLines = [];
+
+    for (const line of content.split('\n')) {
+      if (!line.trim()) {
+        continue;
+      }
+      try {
+        events.push(JSON.parse(line));
+        validLines.push(line);
+      } catch (error) {
+        corrupt.push(line);
+      }
+    }
+
+    if (corrupt.length > 0) {
+      if (this.corruptLines === 'quarantine') {
+        fs.appendFileSync(this.quarantinePath, corrupt.join('\n') + '\n');
+      }
+      this._write(validLines);
+    }
+
+    return { events, corrupt };
+  }
+
+  // Drops the first count events, keeping anything appended since they were read
+  remove(count) {
+    if (count <= 0) {
+      return;
+    }
+
+    let content;
+    try {
+      content = fs.readFileSync(this.filePath, 'utf8');
+    } catch (error) {
+      return;
+    }
+
+    const lines = content.split('\n').filter(line => line.trim());
+    this._write(lines.slice(count));
+  }
+
+  _write(lines) {
+    if (lines.length === 0) {
+      fs.unlinkSync(this.filePath);
+    } else {
+      fs.writeFileSync(this.filePath, lines.join('\n') + '\n');
+    }
+  }
+}
+
+/**
+ * Main Client Class
+ */
+class LaikaTestClient {
+  constructor(apiKey, options = {}) {
+    if (!apiKey) {
+      throw new ValidationError('API key is required');
+    }
+
+    this.apiKey = apiKey;
+    this.baseUrl = options.baseUrl || 'https://api.laikatest.com';
+    this.timeout = options.timeout || 10000; // 10 seconds
+    this.cacheTtl = options.cacheTtl || 30 * 60 * 1000; // 30 minutes
+
+    // Retry policy (a single attempt unless maxAttempts is raised)
+    const retry = options.retry || {};
+    this.retry = {
+      maxAttempts: retry.maxAttempts !== undefined ? retry.maxAttempts : 1,
+      initialDelay: retry.initialDelay !== undefined ? retry.initialDelay : 200,
+      maxDelay: retry.maxDelay !== undefined ? retry.maxDelay : 10000,
+      factor: retry.factor || 2,
+      jitter: retry.jitter !== false,
+      retryableStatusCodes: retry.retryableStatusCodes || DEFAULT_RETRYABLE_STATUS_CODES
+    };
+
+    if (!Number.isInteger(this.retry.maxAttempts) || this.retry.maxAttempts < 1) {
+      throw new ValidationError('retry.maxAttempts must be a positive integer');
+    }
+    
+    // Shared stores (e.g. Redis) keep assignments consistent across processes
+    this.hasCustomStore = !!options.assignmentStore;
+    const store = options.assignmentStore || new MemoryAssignmentStore({
+      maxEntries: options.cacheMaxEntries || 100000,
+      maxBytes: options.cacheMaxBytes
+    });
+    // Expired assignments can keep being served while refreshing or when the platform is down
+    this.staleWhileRevalidate = options.staleWhileRevalidate || 0;
+    this.serveStaleOnError = options.serveStaleOnError || 0;
+    this.assignmentCache = new AssignmentCache(
+      this.cacheTtl,
+      store,
+      Math.max(this.staleWhileRevalidate, this.serveStaleOnError)
+    );
+    // In-flight assignment requests, keyed like the cache, shared by concurrent callers
+    this._inflightAssignments = new Map();
+    // Whole lookups (cache read plus any fetch) in progress, keyed like the cache; registered
+    // before the cache read so slow async stores cannot let a second caller fetch again
+    this._pendingAssignments = new Map();
+
+    // Default prompts served when an assignment cannot be fetched
+    if (options.fallbackTracking && !['skip', 'record', 'throw'].includes(options.fallbackTracking)) {
+      throw new ValidationError('fallbackTracking must be "skip", "record", or "throw"');
+    }
+    this.fallbackTracking = options.fallbackTracking || 'skip';
+
+    // Upper bound on the serialized size of event metadata
+    this.maxMetadataBytes = options.maxMetadataBytes || 10 * 1024;
+
+    // Named metrics accepted by trackOutcome, with their allowed ranges
+    this.metricDefinitions = this._validateMetricDefinitions(options.metrics || {});
+
+    // Opt-in local assignment from downloaded experiment configs
+    this.localEvaluation = !!options.localEvaluation;
+    this.experimentConfigs = new Map();
+    this._configRequests = new Map();
+    this._configEtags = new Map();
+    this._touchedExperiments = new Set();
+    this._assignmentCounts = new Map(); // experimentId -> { counts: variantId -> count, identities: identity -> variantId }
+    // Identities remembered per experiment to avoid double counting, least recently seen dropped first
+    this._maxCountedIdentities = options.cacheMaxEntries || 100000;
+    // Identity set by runWithContext, created on first use
+    this._contextStorage = null;
+    this.exposureQueue = null;
+    if (this.localEvaluation) {
+      const local = options.localEvaluation === true ? {} : options.localEvaluation;
+      this.exposureQueue = new EventQueue((exposures) => this._sendExposureBatch(exposures), {
+        maxBatchSize: local.exposureBatchSize || 100,
+        flushInterval: local.exposureFlushInterval || 5000,
+        onError: (error, exposures) => this._reportError(error, exposures)
+      });
+    }
+    this.fallbackPrompts = new Map();
+    // Identities recently served a fallback, oldest first; only their outcomes follow fallbackTracking
+    this._servedFallbacks = new Set();
+    for (const [experimentId, content] of Object.entries(options.fallbackPrompts || {})) {
+      this.setFallbackPrompt(experimentId, content);
+    }
+    
+    this.onError = options.onError || null;
+
+    // Opt-in buffered event tracking
+    this.eventQueue = null;
+    if (options.batching) {
+      const batching = options.batching === true ? {} : options.batching;
+      this.eventQueue = new EventQueue((events) => this._sendEventBatch(events), {
+        maxBatchSize: batching.maxBatchSize,
+        maxQueueSize: batching.maxQueueSize,
+        flushInterval: batching.flushInterval,
+        onError: (error, events) => this._handleUndeliveredEvents(error, events)
+      });
+    }
+
+    // Opt-in polling for edited, paused or re-versioned experiments
+    this.onConfigChange = options.onConfigChange || null;
+    this._configPoll = null;
+    if (options.configPolling) {
+      const polling = options.configPolling === true ? {} : options.configPolling;
+      this.configPollInterval = setInterval(() => {
+        this.pollExperimentConfigs();
+      }, polling.interval || 60 * 1000);
+    }
+
+    // Opt-in durable spool for events that fail to send
+    this.spool = null;
+    if (options.spool) {
+      const spool = typeof options.spool === 'string' ? { directory: options.spool } : options.spool;
+      this.spool = new EventSpool(spool.directory, spool);
+      this.spoolReplayBatchSize = spool.replayBatchSize || 50;
+      this._spoolReplay = null;
+
+      // Replay leftovers from previous runs once construction has finished
+      Promise.resolve().then(() => this._replaySpoolInBackground());
+      this.spoolReplayInterval = setInterval(() => {
+        this._replaySpoolInBackground();
+      }, spool.replayInterval || 60 * 1000);
+    }
+    
+    // Start cleanup interval
+    this.cleanupInterval = setInterval(() => {
+      Promise.resolve()
+        .then(() => this.assignmentCache.cleanup())
+        .catch(error => this._reportError(error));
+    }, 5 * 60 * 1000); // Cleanup every 5 minutes
+  }
+
+  /**
+   * Make HTTP request, retrying according to the retry policy
+   *
+   * With requestOptions.retryRateLimited set to false, 429 responses are thrown
+   * straight away for callers that wait them out themselves.
+   */
+  async _makeRequest(method, path, data = null, requestOptions = {}) {
+    let attempt = 1;
+
+    for (;;) {
+      try {
+        return await this._sendRequest(method, path, data, requestOptions);
+      } catch (error) {
+        const rateLimited = error instanceof LaikaServiceError && error.statusCode === 429;
+        const delay = attempt < this.retry.maxAttempts && !(rateLimited && requestOptions.retryRateLimited === false)
+          ? this._getRetryDelay(error, attempt)
+          : null;
+        if (delay === null) {
+          throw error;
+        }
+        await sleep(delay);
+        attempt++;
+      }
+    }
+  }
+
+  /**
+   * Delay before the next attempt, or null if the error is not retryable
+   */
+  _getRetryDelay(error, attempt) {
+    if (!this._isRetryableError(error)) {
+      return null;
+    }
+
+    return this._getBackoffDelay(error, attempt);
+  }
+
+  /**
+   * Backoff before the next attempt, or null if the server's Retry-After exceeds retry.maxDelay
+   */
+  _getBackoffDelay(error, attempt) {
+    const { initialDelay, maxDelay, factor, jitter } = this.retry;
+
+    // Honor the server's Retry-After, but give up rather than wait past maxDelay
+    if ((error.statusCode === 429 || error.statusCode === 503) && error.retryAfter !== undefined) {
+      return error.retryAfter <= maxDelay ? error.retryAfter : null;
+    }
+
+    const backoff = Math.min(maxDelay, initialDelay * Math.pow(factor, attempt - 1));
+    return jitter ? Math.random() * backoff : backoff;
+  }
+
+  /**
+   * Whether an error is transient (network failure or retryable status code)
+   */
+  _isRetryableError(error) {
+    if (error instanceof NetworkError) {
+      return true;
+    }
+    return error instanceof LaikaServiceError && this.retry.retryableStatusCodes.includes(error.statusCode);
+  }
+
+  /**
+   * Send a single HTTP request
+   *
+   * requestOptions.headers adds request headers; with requestOptions.fullResponse
+   * the promise resolves to { statusCode, headers, body } and 304 counts as success.
+   */
+  _sendRequest(method, path, data = null, requestOptions = {}) {
+    return new Promise((resolve, reject) => {
+      const url = new URL(path, this.baseUrl);
+      const isHttps = url.protocol === 'https:';
+      const httpModule = isHttps ? https : http;
+      
+      const options = {
+        hostname: url.hostname,
+        port: url.port || (isHttps ? 443 : 80),
+        path: url.pathname + url.search,
+        method: method,
+        headers: {
+          'Authorization': `Bearer ${this.apiKey}`,
+          'Content-Type': 'application/json',
+          'User-Agent': 'LaikaTestClient/1.0.0',
+          ...requestOptions.headers
+        },
+        timeout: this.timeout
+      };
+
+      if (data) {
+        const jsonData = JSON.stringify(data);
+        options.headers['Content-Length'] = Buffer.byteLength(jsonData);
+      }
+
+      const req = httpModule.request(options, (res) => {
+        let responseData = '';
+        
+        res.on('data', (chunk) => {
+          responseData += chunk;
+        });
+        
+        res.on('end', () => {
+          const isSuccess = res.statusCode >= 200 && res.statusCode < 300;
+          let parsed;
+
+          if (res.statusCode === 304 && requestOptions.fullResponse) {
+            resolve({ statusCode: 304, headers: res.headers, body: null });
+            return;
+          }
+
+          try {
+            parsed = JSON.parse(responseData);
+          } catch (parseError) {
+            if (isSuccess) {
+              // The server handled the request, so this is final rather than retryable
+              reject(new LaikaServiceError('Invalid JSON response', res.statusCode, responseData));
+              return;
+            }
+            // Proxies and load balancers often answer 5xx with non-JSON bodies
+            parsed = responseData;
+          }
+
+          if (isSuccess) {
+            resolve(requestOptions.fullResponse ? { statusCode: res.statusCode, headers: res.headers, body: parsed } : parsed);
+          } else {
+            const errorMessage = (parsed && parsed.error) || `HTTP ${res.statusCode}`;
+            const serviceError = new LaikaServiceError(errorMessage, res.statusCode, parsed);
+            serviceError.retryAfter = parseRetryAfter(res.headers['retry-after']);
+            reject(serviceError);
+          }
+        });
+      });
+
+      req.on('error', (error) => {
+        reject(new NetworkError('Network request failed', error));
+      });
+
+      req.on('timeout', () => {
+        req.destroy();
+        reject(new NetworkError('Request timeout'));
+      });
+
+      if (data) {
+        req.write(JSON.stringify(data));
+      }
+      
+      req.end();
+    });
+  }
+
+  /**
+   * Get prompt for user-based assignment
+   */
+  async getPromptForUser(experimentId, userId) {
+    if (!experimentId) {
+      throw new ValidationError('experimentId is required');
+    }
+    if (!userId) {
+      throw new ValidationError('userId is required');
+    }
+
+    const assignment = await this._getAssignment(experimentId, userId, null);
+    this._recordContextAssignment(experimentId, assignment, userId, null);
+    return assignment;
+  }
+
+  /**
+   * Get prompt for session-based assignment
+   */
+  async getPromptForSession(experimentId, sessionId) {
+    if (!experimentId) {
+      throw new ValidationError('experimentId is required');
+    }
+    if (!sessionId) {
+      throw new ValidationError('sessionId is required');
+    }
+
+    const assignment = await this._getAssignment(experimentId, null, sessionId);
+    this._recordContextAssignment(experimentId, assignment, null, sessionId);
+    return assignment;
+  }
+
+  /**
+   * Get prompt for the identity set by runWithContext (user over session)
+   */
+  async getPrompt(experimentId) {
+    if (!experimentId) {
+      throw new ValidationError('experimentId is required');
+    }
+    const context = this._currentContext();
+    if (!context) {
+      throw new ValidationError('getPrompt must be called inside runWithContext; use getPromptForUser or getPromptForSession otherwise');
+    }
+
+    return context.userId
+      ? this.getPromptForUser(experimentId, context.userId)
+      : this.getPromptForSession(experimentId, context.sessionId);
+  }
+
+  /**
+   * Run fn with an identity that getPrompt, trackOutcome and withExperiment
+   * pick up anywhere in its async call tree
+   *
+   * Assignments made for that identity inside fn are remembered, so tracking
+   * calls can omit experimentId when only one experiment was assigned.
+   * Nested calls replace the outer identity. Resolves with fn's result.
+   */
+  runWithContext(context, fn) {
+    const { userId, sessionId } = context || {};
+    if (!userId && !sessionId) {
+      throw new ValidationError('userId or sessionId is required');
+    }
+    if (typeof fn !== 'function') {
+      throw new ValidationError('fn must be a function');
+    }
+    if (!AsyncLocalStorage) {
+      throw new Error('runWithContext requires Node.js 12.17 or later');
+    }
+
+    if (!this._contextStorage) {
+      this._contextStorage = new AsyncLocalStorage();
+    }
+    return this._contextStorage.run({
+      userId: userId || null,
+      sessionId: sessionId || null,
+      assignments: new Map() // experimentId -> assignment
+    }, fn);
+  }
+
+  /**
+   * The identity set by runWithContext and the experiments assigned to it, or null outside one
+   */
+  getContext() {
+    const context = this._currentContext();
+    if (!context) {
+      return null;
+    }
+    return {
+      userId: context.userId,
+      sessionId: context.sessionId,
+      experimentIds: Array.from(context.assignments.keys())
+    };
+  }
+
+  _currentContext() {
+    return this._contextStorage ? this._contextStorage.getStore() || null : null;
+  }
+
+  // Remember an assignment made for the current context's identity (or a random one made inside it)
+  _recordContextAssignment(experimentId, assignment, userId, sessionId) {
+    const context = this._currentContext();
+    if (!context) {
+      return;
+    }
+    const matches = userId ? userId === context.userId
+      : sessionId ? sessionId === context.sessionId
+      : true;
+    if (matches) {
+      context.assignments.set(experimentId, assignment);
+    }
+  }
+
+  /**
+   * Fill in experimentId and the identity of tracking options from the current context
+   */
+  _applyContext(options) {
+    const context = this._currentContext();
+    if (!context || options.assignmentId) {
+      return options;
+    }
+
+    let experimentId = options.experimentId;
+    if (!experimentId) {
+      if (context.assignments.size > 1) {
+        throw new ValidationError('experimentId is required when more than one experiment was assigned in this context');
+      }
+      experimentId = context.assignments.keys().next().value;
+      if (!experimentId) {
+        return options;
+      }
+    }
+    if (options.userId || options.sessionId) {
+      return { ...options, experimentId };
+    }
+
+    // Fallback assignments have no ID; tracking by identity applies the fallback policy
+    const assignment = context.assignments.get(experimentId);
+    if (assignment && assignment.assignment_id) {
+      return { ...options, experimentId, assignmentId: assignment.assignment_id };
+    }
+    return context.userId
+      ? { ...options, experimentId, userId: context.userId }
+      : { ...options, experimentId, sessionId: context.sessionId };
+  }
+
+  /**
+   * Get prompts for several experiments for a user, fetching cache misses in one request
+   *
+   * Resolves with { assignments, errors }, both keyed by experiment ID. An
+   * experiment whose assignment fails without a fallback maps to null in
+   * assignments and to its error in errors; the other experiments are unaffected.
+   */
+  async getPromptsForUser(experimentIds, userId) {
+    this._validateExperimentIds(experimentIds);
+    if (!userId) {
+      throw new ValidationError('userId is required');
+    }
+
+    return this._getPrompts(experimentIds, userId, null);
+  }
+
+  /**
+   * Get prompts for several experiments for a session (see getPromptsForUser)
+   */
+  async getPromptsForSession(experimentIds, sessionId) {
+    this._validateExperimentIds(experimentIds);
+    if (!sessionId) {
+      throw new ValidationError('sessionId is required');
+    }
+
+    return this._getPrompts(experimentIds, null, sessionId);
+  }
+
+  _validateExperimentIds(experimentIds) {
+    if (!Array.isArray(experimentIds) || experimentIds.length === 0 || experimentIds.some(id => !id || typeof id !== 'string')) {
+      throw new ValidationError('experimentIds must be a non-empty array of experiment IDs');
+    }
+  }
+
+  async _getPrompts(experimentIds, userId, sessionId) {
+    const { assignments, errors } = await this._getAssignments(experimentIds, userId, sessionId);
+
+    const result = { assignments: {}, errors: {} };
+    for (const experimentId of experimentIds) {
+      if (errors[experimentId]) {
+        result.assignments[experimentId] = null;
+        result.errors[experimentId] = errors[experimentId];
+      } else {
+        result.assignments[experimentId] = assignments[experimentId];
+        this._recordContextAssignment(experimentId, assignments[experimentId], userId, sessionId);
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Resolve a user or session assignment from the cache, falling back to the API
+   */
+  _getAssignment(experimentId, userId, sessionId) {
+    const key = this.assignmentCache._generateKey(experimentId, userId, sessionId);
+
+    if (!this._pendingAssignments.has(key)) {
+      const request = this._resolveAssignment(experimentId, userId, sessionId)
+        .finally(() => this._pendingAssignments.delete(key));
+      this._pendingAssignments.set(key, request);
+    }
+    return this._pendingAssignments.get(key);
+  }
+
+  async _resolveAssignment(experimentId, userId, sessionId) {
+    const lookup = await this._lookupAssignment(experimentId, userId, sessionId);
+    if (lookup.assignment) {
+      return lookup.assignment;
+    }
+
+    return this._settleAssignment(experimentId, userId, sessionId, lookup,
+      this._fetchAssignmentOnce(experimentId, userId, sessionId));
+  }
+
+  /**
+   * Resolve user or session assignments for several experiments
+   *
+   * Cache hits are served locally and the misses are fetched in one batch
+   * request. Experiments already being resolved for the same identity are
+   * joined rather than looked up again. Resolves with { assignments, errors },
+   * both keyed by experiment ID.
+   */
+  async _getAssignments(experimentIds, userId, sessionId) {
+    const uniqueIds = Array.from(new Set(experimentIds));
+    const requests = new Map();
+    const owned = [];
+    for (const experimentId of uniqueIds) {
+      const key = this.assignmentCache._generateKey(experimentId, userId, sessionId);
+      if (this._pendingAssignments.has(key)) {
+        requests.set(experimentId, this._pendingAssignments.get(key));
+      } else {
+        owned.push(experimentId);
+      }
+    }
+
+    // Register before the first await, like _getAssignment
+    const resolved = this._resolveAssignments(owned, userId, sessionId);
+    for (const experimentId of owned) {
+      const key = this.assignmentCache._generateKey(experimentId, userId, sessionId);
+      const request = resolved
+        .then(({ assignments, errors }) => {
+          if (errors[experimentId]) {
+            throw errors[experimentId];
+          }
+          return assignments[experimentId];
+        })
+        .finally(() => this._pendingAssignments.delete(key));
+      this._pendingAssignments.set(key, request);
+      requests.set(experimentId, request);
+    }
+
+    const assignments = {};
+    const errors = {};
+    await Promise.all(uniqueIds.map(async (experimentId) => {
+      try {
+        assignments[experimentId] = await requests.get(experimentId);
+      } catch (error) {
+        errors[experimentId] = error;
+      }
+    }));
+    return { assignments, errors };
+  }
+
+  async _resolveAssignments(uniqueIds, userId, sessionId) {
+    const lookups = await Promise.all(uniqueIds.map(experimentId => this._lookupAssignment(experimentId, userId, sessionId)));
+    const requests = this._fetchAssignmentsOnce(
+      uniqueIds.filter((experimentId, index) => !lookups[index].assignment),
+      userId,
+      sessionId
+    );
+
+    const assignments = {};
+    const errors = {};
+    await Promise.all(uniqueIds.map(async (experimentId, index) => {
+      try {
+        assignments[experimentId] = lookups[index].assignment ||
+          await this._settleAssignment(experimentId, userId, sessionId, lookups[index], requests.get(experimentId));
+      } catch (error) {
+        errors[experimentId] = error;
+      }
+    }));
+    return { assignments, errors };
+  }
+
+  /**
+   * Look up a cached assignment
+   *
+   * Resolves with { assignment } when it can be served, otherwise with the
+   * expired entry (if any) for _settleAssignment to fall back on.
+   */
+  async _lookupAssignment(experimentId, userId, sessionId) {
+    this._touchedExperiments.add(experimentId);
+
+    // Check cache first, dropping assignments whose experiment config has since changed
+    let cached = await this._getCachedEntry(experimentId, userId, sessionId);
+    if (cached && !this._isAssignmentCurrent(experimentId, cached.assignment)) {
+      await this._deleteCachedAssignment(experimentId, userId, sessionId);
+      cached = null;
+    }
+    if (cached && !cached.stale) {
+      return { assignment: cached.assignment };
+    }
+
+    const staleFor = cached ? Date.now() - cached.expiresAt : 0;
+
+    // Serve the expired assignment and refresh it in the background
+    if (cached && staleFor <= this.staleWhileRevalidate) {
+      this._revalidate(experimentId, userId, sessionId);
+      return { assignment: { ...cached.assignment, is_stale: true } };
+    }
+
+    return { cached, staleFor };
+  }
+
+  /**
+   * Wait for a fetched assignment, serving the expired one or the fallback if it fails
+   */
+  async _settleAssignment(experimentId, userId, sessionId, lookup, request) {
+    const { cached, staleFor } = lookup;
+    try {
+      return await request;
+    } catch (error) {
+      // Keep the user on their last known variant while the platform is down
+      if (cached && staleFor <= this.serveStaleOnError && this._isRetryableError(error)) {
+        return { ...cached.assignment, is_stale: true };
+      }
+      return this._fallbackOrThrow(error, experimentId, userId ? 'user' : 'session', userId || sessionId);
+    }
+  }
+
+  /**
+   * Fetch an assignment, joining the request already in flight for the same key
+   *
+   * Concurrent callers share one request and therefore one assignment_id.
+   */
+  _fetchAssignmentOnce(experimentId, userId, sessionId) {
+    const key = this.assignmentCache._generateKey(experimentId, userId, sessionId);
+
+    if (!this._inflightAssignments.has(key)) {
+      const request = this._fetchAssignment(experimentId, userId, sessionId)
+        .finally(() => this._inflightAssignments.delete(key));
+      this._inflightAssignments.set(key, request);
+    }
+    return this._inflightAssignments.get(key);
+  }
+
+  /**
+   * Fetch assignments for several experiments, joining requests already in flight
+   *
+   * Returns a Map of experiment ID -> assignment promise. Two or more
+   * experiments without an in-flight request share one batch request.
+   */
+  _fetchAssignmentsOnce(experimentIds, userId, sessionId) {
+    const requests = new Map();
+    const pending = [];
+    for (const experimentId of experimentIds) {
+      const key = this.assignmentCache._generateKey(experimentId, userId, sessionId);
+      if (this._inflightAssignments.has(key)) {
+        requests.set(experimentId, this._inflightAssignments.get(key));
+      } else {
+        pending.push(experimentId);
+      }
+    }
+
+    // Local evaluation makes no requests, and a single miss uses the regular endpoint
+    if (this.localEvaluation || pending.length < 2) {
+      for (const experimentId of pending) {
+        requests.set(experimentId, this._fetchAssignmentOnce(experimentId, userId, sessionId));
+      }
+      return requests;
+    }
+
+    const batch = this._fetchAssignmentBatch(pending, userId, sessionId);
+    for (const experimentId of pending) {
+      const key = this.assignmentCache._generateKey(experimentId, userId, sessionId);
+      const request = batch
+        .then(({ assignments, errors }) => {
+          if (!assignments[experimentId]) {
+            throw errors[experimentId] || new LaikaServiceError(`No assignment returned for experiment ${experimentId}`);
+          }
+          return assignments[experimentId];
+        })
+        .finally(() => this._inflightAssignments.delete(key));
+      this._inflightAssignments.set(key, request);
+      requests.set(experimentId, request);
+    }
+    return requests;
+  }
+
+  /**
+   * Request user or session assignments for several experiments from the API and cache them
+   *
+   * Resolves with { assignments, errors } keyed by experiment ID; the server
+   * reports failures per experiment.
+   */
+  async _fetchAssignmentBatch(experimentIds, userId, sessionId) {
+    const requestData = userId
+      ? { experiment_ids: experimentIds, split_type: 'user', user_id: userId }
+      : { experiment_ids: experimentIds, split_type: 'session', session_id: sessionId };
+
+    let response;
+    try {
+      response = await this._makeRequest('POST', '/api/v1/experiments/prompts/batch', requestData);
+    } catch (error) {
+      if (error instanceof LaikaServiceError || error instanceof NetworkError) {
+        throw error;
+      }
+      throw new LaikaServiceError('Failed to get prompt assignments', null, error);
+    }
+
+    if (!response.success || !response.data || !response.data.assignments) {
+      throw new LaikaServiceError('Invalid response format');
+    }
+
+    const assignments = {};
+    const errors = {};
+    for (const experimentId of experimentIds) {
+      const assignment = response.data.assignments[experimentId];
+      const failure = (response.data.errors || {})[experimentId];
+      if (assignment) {
+        this._countAssignment(experimentId, assignment, userId, sessionId);
+        await this._storeAssignment(experimentId, userId, sessionId, assignment);
+        assignments[experimentId] = assignment;
+      } else if (failure) {
+        errors[experimentId] = new LaikaServiceError(
+          `Failed to get prompt assignment for experiment ${experimentId}: ${failure.message || failure.error || 'unknown error'}`,
+          failure.status_code || null,
+          failure
+        );
+      }
+    }
+    return { assignments, errors };
+  }
+
+  /**
+   * Request a user or session assignment from the API and cache it
+   */
+  async _fetchAssignment(experimentId, userId, sessionId) {
+    if (this.localEvaluation) {
+      const assignment = await this._evaluateLocally(experimentId, userId ? 'user' : 'session', userId || sessionId);
+      this._countAssignment(experimentId, assignment, userId, sessionId);
+      await this._storeAssignment(experimentId, userId, sessionId, assignment);
+      return assignment;
+    }
+
+    const requestData = userId
+      ? { split_type: 'user', user_id: userId }
+      : { split_type: 'session', session_id: sessionId };
+
+    try {
+      const response = await this._makeRequest('POST', `/api/v1/experiments/${experimentId}/prompt`, requestData);
+      
+      if (!response.success || !response.data) {
+        throw new LaikaServiceError('Invalid response format');
+      }
+
+      this._countAssignment(experimentId, response.data, userId, sessionId);
+
+      // Store in cache
+      await this._storeAssignment(experimentId, userId, sessionId, response.data);
+      
+      return response.data;
+    } catch (error) {
+      if (error instanceof LaikaServiceError || error instanceof NetworkError) {
+        throw error;
+      }
+      throw new LaikaServiceError('Failed to get prompt assignment', null, error);
+    }
+  }
+
+  /**
+   * Refresh a stale assignment once, in the background
+   */
+  _revalidate(experimentId, userId, sessionId) {
+    const key = this.assignmentCache._generateKey(experimentId, userId, sessionId);
+    if (this._inflightAssignments.has(key)) {
+      return;
+    }
+
+    this._fetchAssignmentOnce(experimentId, userId, sessionId)
+      .catch(error => this._reportError(error));
+  }
+
+  /**
+   * Get prompt for random assignment
+   */
+  async getRandomPrompt(experimentId) {
+    if (!experimentId) {
+      throw new ValidationError('experimentId is required');
+    }
+
+    this._touchedExperiments.add(experimentId);
+
+    let assignment;
+    try {
+      assignment = await this._fetchRandomAssignment(experimentId);
+    } catch (error) {
+      assignment = this._fallbackOrThrow(error, experimentId, 'random', null);
+    }
+    this._recordContextAssignment(experimentId, assignment, null, null);
+    return assignment;
+  }
+
+  /**
+   * Request a random assignment from the API
+   */
+  async _fetchRandomAssignment(experimentId) {
+    if (this.localEvaluation) {
+      const assignment = await this._evaluateLocally(experimentId, 'random', null);
+      this._countAssignment(experimentId, assignment, null, null);
+      return assignment;
+    }
+
+    const requestData = {
+      split_type: 'random'
+    };
+
+    try {
+      const response = await this._makeRequest('POST', `/api/v1/experiments/${experimentId}/prompt`, requestData);
+      
+      if (!response.success || !response.data) {
+        throw new LaikaServiceError('Invalid response format');
+      }
+
+      this._countAssignment(experimentId, response.data, null, null);
+
+      // Don't cache random assignments
+      return response.data;
+    } catch (error) {
+      if (error instanceof LaikaServiceError || error instanceof NetworkError) {
+        throw error;
+      }
+      throw new LaikaServiceError('Failed to get prompt assignment', null, error);
+    }
+  }
+
+  /**
+   * Download experiment configs ahead of the first local assignment
+   */
+  async loadExperimentConfigs(experimentIds) {
+    if (!Array.isArray(experimentIds)) {
+      throw new ValidationError('experimentIds must be an array');
+    }
+    return Promise.all(experimentIds.map(experimentId => this._getExperimentConfig(experimentId)));
+  }
+
+  /**
+   * Get a downloaded experiment config, fetching it once on first use
+   */
+  async _getExperimentConfig(experimentId) {
+    this._touchedExperiments.add(experimentId);
+
+    if (this.experimentConfigs.has(experimentId)) {
+      return this.experimentConfigs.get(experimentId);
+    }
+
+    // Share one download between concurrent first assignments
+    if (!this._configRequests.has(experimentId)) {
+      const request = this._fetchExperimentConfig(experimentId)
+        .then((config) => {
+          this.experimentConfigs.set(experimentId, config);
+          return config;
+        })
+        .finally(() => this._configRequests.delete(experimentId));
+      this._configRequests.set(experimentId, request);
+    }
+    return this._configRequests.get(experimentId);
+  }
+
+  /**
+   * Request an experiment's variants, traffic weights and prompt contents
+   *
+   * Sends the last ETag so an unchanged config costs a 304 and no body.
+   */
+  async _fetchExperimentConfig(experimentId) {
+    const etag = this._configEtags.get(experimentId);
+    const headers = etag && this.experimentConfigs.has(experimentId) ? { 'If-None-Match': etag } : {};
+
+    try {
+      const { statusCode, headers: responseHeaders, body } = await this._makeRequest(
+        'GET',
+        `/api/v1/experiments/${experimentId}/config`,
+        null,
+        { headers, fullResponse: true }
+      );
+
+      if (statusCode === 304) {
+        return this.experimentConfigs.get(experimentId);
+      }
+
+      if (!body || !body.success || !body.data || !Array.isArray(body.data.variants)) {
+        throw new LaikaServiceError('Invalid experiment config format');
+      }
+
+      if (responseHeaders && responseHeaders.etag) {
+        this._configEtags.set(experimentId, responseHeaders.etag);
+      }
+
+      return body.data;
+    } catch (error) {
+      if (error instanceof LaikaServiceError || error instanceof NetworkError) {
+        throw error;
+      }
+      throw new LaikaServiceError('Failed to fetch experiment config', null, error);
+    }
+  }
+
+  /**
+   * Re-fetch the configs of every experiment this client has used
+   *
+   * Resolves with the experiments whose config changed; failures are reported through onError.
+   */
+  pollExperimentConfigs() {
+    if (!this._configPoll) {
+      const experimentIds = Array.from(this._touchedExperiments);
+      this._configPoll = Promise.all(experimentIds.map(experimentId => {
+        return this._refreshExperimentConfig(experimentId).catch((error) => {
+          this._reportError(error);
+          return null;
+        });
+      }))
+        .then(changes => changes.filter(Boolean))
+        .finally(() => {
+          this._configPoll = null;
+        });
+    }
+    return this._configPoll;
+  }
+
+  async _refreshExperimentConfig(experimentId) {
+    const previous = this.experimentConfigs.get(experimentId);
+    const current = await this._fetchExperimentConfig(experimentId);
+    this.experimentConfigs.set(experimentId, current);
+
+    if (!previous || previous === current || JSON.stringify(previous) === JSON.stringify(current)) {
+      return null;
+    }
+
+    const change = { experimentId, previous, current };
+    if (this.onConfigChange) {
+      try {
+        this.onConfigChange(change);
+      } catch (error) {
+        this._reportError(error);
+      }
+    }
+    return change;
+  }
+
+  /**
+   * Whether a cached assignment still matches the latest known experiment config
+   */
+  _isAssignmentCurrent(experimentId, assignment) {
+    const config = this.experimentConfigs.get(experimentId);
+    if (!config) {
+      return true;
+    }
+
+    if (config.status && config.status !== 'active') {
+      return false;
+    }
+
+    if (!assignment.variant_id) {
+      return true;
+    }
+
+    const variant = config.variants.find(candidate => candidate.variant_id === assignment.variant_id);
+    if (!variant) {
+      return false;
+    }
+
+    const cachedVersion = assignment.prompt_metadata && assignment.prompt_metadata.prompt_version_id;
+    const currentVersion = variant.prompt_metadata && variant.prompt_metadata.prompt_version_id;
+    return !cachedVersion || !currentVersion || cachedVersion === currentVersion;
+  }
+
+  /**
+   * Assign a variant locally and queue the exposure for reporting
+   */
+  async _evaluateLocally(experimentId, splitType, identifier) {
+    const config = await this._getExperimentConfig(experimentId);
+
+    if (config.status && config.status !== 'active') {
+      throw new LaikaServiceError(`Experiment ${experimentId} is not active`);
+    }
+
+    const variants = config.variants.filter(variant => variant.weight === undefined || variant.weight > 0);
+    if (variants.length === 0) {
+      throw new LaikaServiceError(`Experiment ${experimentId} has no variants with traffic`);
+    }
+
+    // Same experiment and identifier always land in the same bucket
+    const bucketKey = `${experimentId}:${identifier}`;
+    const point = identifier ? hashToUnitInterval(bucketKey) : Math.random();
+    const variant = pickWeightedVariant(variants, point);
+
+    const assignmentId = identifier
+      ? toUuid(crypto.createHash('sha256').update(`${bucketKey}:${variant.variant_id}`).digest('hex'))
+      : toUuid(crypto.randomBytes(16).toString('hex'));
+
+    const assignment = {
+      prompt_content: variant.prompt_content,
+      variant_name: variant.variant_name,
+      variant_id: variant.variant_id,
+      is_control: !!variant.is_control,
+      assignment_id: assignmentId,
+      prompt_metadata: variant.prompt_metadata || null,
+      experiment_metadata: {
+        experiment_id: experimentId,
+        experiment_name: config.experiment_name,
+        split_type: splitType,
+        identifier_used: identifier
+      }
+    };
+
+    this.exposureQueue.enqueue({
+      assignment_id: assignmentId,
+      experiment_id: experimentId,
+      variant_id: variant.variant_id,
+      split_type: splitType,
+      user_id: splitType === 'user' ? identifier : null,
+      session_id: splitType === 'session' ? identifier : null,
+      assigned_at: new Date().toISOString()
+    });
+
+    return assignment;
+  }
+
+  /**
+   * Report a batch of locally made assignments
+   */
+  async _sendExposureBatch(exposures) {
+    try {
+      const response = await this._makeRequest('POST', '/api/v1/exposures/batch', { exposures });
+
+      if (!response.success) {
+        throw new LaikaServiceError('Failed to report exposures');
+      }
+
+      return response.data;
+    } catch (error) {
+      if (error instanceof LaikaServiceError || error instanceof NetworkError) {
+        throw error;
+      }
+      throw new LaikaServiceError('Failed to report exposures', null, error);
+    }
+  }
+
+  /**
+   * Register the prompt served when an experiment's assignment cannot be fetched
+   */
+  setFallbackPrompt(experimentId, content) {
+    if (!experimentId) {
+      throw new ValidationError('experimentId is required');
+    }
+    if (typeof content !== 'string') {
+      throw new ValidationError('fallback prompt content must be a string');
+    }
+    this.fallbackPrompts.set(experimentId, content);
+  }
+
+  /**
+   * Remove a registered fallback prompt
+   */
+  removeFallbackPrompt(experimentId) {
+    this.fallbackPrompts.delete(experimentId);
+  }
+
+  _fallbackKey(experimentId, splitType, identifier) {
+    return `${experimentId}:${splitType}:${identifier || ''}`;
+  }
+
+  // Whether the identity of tracking options was served a fallback for the experiment
+  _wasServedFallback(experimentId, userId, sessionId) {
+    if (!userId && !sessionId) {
+      return this._servedFallbacks.has(this._fallbackKey(experimentId, 'random', null));
+    }
+    return (!!userId && this._servedFallbacks.has(this._fallbackKey(experimentId, 'user', userId))) ||
+      (!!sessionId && this._servedFallbacks.has(this._fallbackKey(experimentId, 'session', sessionId)));
+  }
+
+  /**
+   * Build a fallback assignment for a failed request, or rethrow if none is registered
+   */
+  _fallbackOrThrow(error, experimentId, splitType, identifier) {
+    const content = this.fallbackPrompts.get(experimentId);
+    if (content === undefined || !(error instanceof LaikaServiceError || error instanceof NetworkError)) {
+      throw error;
+    }
+
+    const key = this._fallbackKey(experimentId, splitType, identifier);
+    this._servedFallbacks.delete(key);
+    this._servedFallbacks.add(key);
+    if (this._servedFallbacks.size > MAX_SERVED_FALLBACKS) {
+      this._servedFallbacks.delete(this._servedFallbacks.values().next().value);
+    }
+
+    return {
+      prompt_content: content,
+      variant_name: 'fallback',
+      variant_id: null,
+      is_control: false,
+      assignment_id: null,
+      prompt_metadata: null,
+      experiment_metadata: {
+        experiment_id: experimentId,
+        split_type: splitType,
+        identifier_used: identifier
+      },
+      is_fallback: true
+    };
+  }
+
+  /**
+   * Read a cache entry, stale or not; store failures count as cache misses
+   */
+  async _getCachedEntry(experimentId, userId, sessionId, countStats = true) {
+    try {
+      return await this.assignmentCache.getEntry(experimentId, userId, sessionId, countStats);
+    } catch (error) {
+      this._reportError(error);
+      return null;
+    }
+  }
+
+  /**
+   * Write an assignment to the store; store failures never fail the request
+   */
+  async _storeAssignment(experimentId, userId, sessionId, assignment) {
+    try {
+      await this.assignmentCache.store(experimentId, userId, sessionId, assignment);
+    } catch (error) {
+      this._reportError(error);
+    }
+  }
+
+  /**
+   * Remove an assignment from the store; store failures are only reported
+   */
+  async _deleteCachedAssignment(experimentId, userId, sessionId) {
+    try {
+      await this.assignmentCache.delete(experimentId, userId, sessionId);
+    } catch (error) {
+      this._reportError(error);
+    }
+  }
+
+  /**
+   * Find assignment in cache for automatic tracking, including stale entries
+   *
+   * These probes are not assignment lookups, so they leave the cache hit and miss counts alone.
+   */
+  async _findCachedAssignment(experimentId, userId, sessionId) {
+    // Try exact match first
+    let entry = await this._getCachedEntry(experimentId, userId, sessionId, false);
+    if (entry) {
+      return entry.assignment;
+    }
+
+    // Try user-based assignment
+    if (userId) {
+      entry = await this._getCachedEntry(experimentId, userId, null, false);
+      if (entry) {
+        return entry.assignment;
+      }
+    }
+
+    // Try session-based assignment
+    if (sessionId) {
+      entry = await this._getCachedEntry(experimentId, null, sessionId, false);
+      if (entry) {
+        return entry.assignment;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Track outcome with automatic assignment resolution
+   */
+  async trackOutcome(outcome, options = {}) {
+    const eventData = await this._buildEventData(outcome, options);
+
+    if (!eventData) {
+      return { skipped: true };
+    }
+
+    if (this.eventQueue) {
+      this.eventQueue.enqueue(eventData);
+      return { queued: true };
+    }
+
+    try {
+      // Retries send the same key, so the server records the event at most once
+      const response = await this._makeRequest('POST', '/api/v1/events', eventData, {
+        headers: { 'Idempotency-Key': eventData.idempotency_key }
+      });
+      
+      if (!response.success) {
+        throw new LaikaServiceError('Failed to track event');
+      }
+
+      return response.data;
+    } catch (error) {
+      if (this.spool && this._isRetryableError(error) && this._spoolEvents([eventData])) {
+        return { spooled: true };
+      }
+      if (error instanceof LaikaServiceError || error instanceof NetworkError) {
+        throw error;
+      }
+      throw new LaikaServiceError('Failed to track outcome', null, error);
+    }
+  }
+
+  /**
+   * Track many outcomes, sent in batches
+   *
+   * Each item takes trackOutcome's options plus its outcome. All items are
+   * validated and resolved to assignments first; invalid items are not sent
+   * and the valid ones are. Resolves with
+   * { sent, failed, invalid, skipped, spooled, results }, where results[i] is
+   * { index, ok, status: 'sent' | 'failed' | 'invalid' | 'skipped' | 'spooled', data?, error? }.
+   */
+  async trackOutcomes(events, options = {}) {
+    if (!Array.isArray(events)) {
+      throw new ValidationError('events must be an array');
+    }
+    const { batchSize = 500, concurrency = 1 } = options;
+    if (!Number.isInteger(batchSize) || batchSize < 1) {
+      throw new ValidationError('batchSize must be a positive integer');
+    }
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+      throw new ValidationError('concurrency must be a positive integer');
+    }
+
+    const results = new Array(events.length);
+    const setResult = (index, status, fields = {}) => {
+      results[index] = { index, ok: !fields.error, status, ...fields };
+    };
+
+    const pending = []; // [index, eventData]
+    for (let index = 0; index < events.length; index++) {
+      const { outcome, ...trackingOptions } = events[index] || {};
+      let eventData;
+      try {
+        eventData = await this._buildEventData(outcome, trackingOptions);
+      } catch (error) {
+        error.message = `events[${index}]: ${error.message}`;
+        setResult(index, 'invalid', { error });
+        continue;
+      }
+
+      if (eventData) {
+        pending.push([index, eventData]);
+      } else {
+        setResult(index, 'skipped');
+      }
+    }
+
+    const batches = [];
+    for (let i = 0; i < pending.length; i += batchSize) {
+      batches.push(pending.slice(i, i + batchSize));
+    }
+
+    const sendBatches = async () => {
+      while (batches.length > 0) {
+        const batch = batches.shift();
+        const eventData = batch.map(([, data]) => data);
+        try {
+          const data = await this._sendEventBatch(eventData);
+          // Servers may report per-event results; otherwise the whole batch was accepted
+          const itemResults = data && Array.isArray(data.results) ? data.results : [];
+          batch.forEach(([index], position) => {
+            const result = itemResults[position];
+            if (result && result.error) {
+              setResult(index, 'failed', { error: new LaikaServiceError(result.error, result.status_code || null, result) });
+            } else {
+              setResult(index, 'sent', { data: result });
+            }
+          });
+        } catch (error) {
+          const spooled = this.spool && this._isRetryableError(error) && this._spoolEvents(eventData);
+          for (const [index] of batch) {
+            setResult(index, spooled ? 'spooled' : 'failed', spooled ? {} : { error });
+          }
+        }
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(concurrency, batches.length) }, sendBatches));
+
+    const count = status => results.filter(result => result.status === status).length;
+    return {
+      sent: count('sent'),
+      failed: count('failed'),
+      invalid: count('invalid'),
+      skipped: count('skipped'),
+      spooled: count('spooled'),
+      results
+    };
+  }
+
+  /**
+   * Validate tracking options and build the event payload
+   */
+  async _buildEventData(outcome, options = {}) {
+    options = this._applyContext(options);
+
+    if (!outcome || !['success', 'failure'].includes(outcome)) {
+      throw new ValidationError('outcome must be "success" or "failure"');
+    }
+
+    const {
+      experimentId,
+      userId,
+      sessionId,
+      score,
+      userFeedback,
+      assignmentId,
+      latencyMs,
+      promptTokens,
+      completionTokens,
+      model,
+      metadata,
+      metrics,
+      idempotencyKey
+    } = options;
+
+    if (idempotencyKey !== undefined && (typeof idempotencyKey !== 'string' || idempotencyKey.length === 0 || idempotencyKey.length > 255)) {
+      throw new ValidationError('idempotencyKey must be a non-empty string of at most 255 characters');
     }
-    
-    return entry.assignment;
-  }
 
-  clear() {
-    this.cache.clear();
-  }
+    let assignment;
+    let finalAssignmentId;
+    let finalExperimentId;
+    let isFallback = false;
 
-  // Cleanup expired entries
-  cleanup() {
-    const now = Date.now();
-    for (const [key, entry] of this.cache.entries()) {
-      if (now > entry.expiresAt) {
-        this.cache.delete(key);
+    // Without an assignment, identities that were served a fallback follow the fallbackTracking policy
+    const tracksFallback = experimentId && this.fallbackTracking !== 'throw' &&
+      this._wasServedFallback(experimentId, userId, sessionId);
+
+    if (assignmentId && experimentId) {
+      // Explicit assignment provided
+      finalAssignmentId = assignmentId;
+      finalExperimentId = experimentId;
+    } else if (experimentId && (userId || sessionId)) {
+      // Try to find assignment in cache
+      assignment = await this._findCachedAssignment(experimentId, userId, sessionId);
+      if (assignment) {
+        finalAssignmentId = assignment.assignment_id;
+      } else if (tracksFallback) {
+        isFallback = true;
+        finalAssignmentId = null;
+      } else {
+        throw new AssignmentNotFoundError(
+          `No assignment found for experiment ${experimentId}. Call getPrompt* method first.`
+        );
       }
+      finalExperimentId = experimentId;
+    } else if (tracksFallback) {
+      // A fallback from getRandomPrompt has no assignment ID to pass
+      isFallback = true;
+      finalAssignmentId = null;
+      finalExperimentId = experimentId;
+    } else {
+      throw new ValidationError('Either (assignmentId + experimentId) or (experimentId + userId/sessionId) must be provided');
     }
-  }
-}
 
-/**
- * Main Client Class
- */
-class LaikaTestClient {
-  constructor(apiKey, options = {}) {
-    if (!apiKey) {
-      throw new ValidationError('API key is required');
+    const eventData = {
+      assignment_id: finalAssignmentId,
+      outcome: outcome,
+      // Kept with the event through the queue and spool, so every delivery attempt carries the same key
+      idempotency_key: idempotencyKey || toUuid(crypto.randomBytes(16).toString('hex'))
+    };
+
+    // Add optional fields
+    if (score !== undefined) {
+      if (typeof score !== 'number' || score < 0 || score > 10) {
+        throw new ValidationError('score must be a number between 0 and 10');
+      }
+      eventData.score = score;
     }
 
-    this.apiKey = apiKey;
-    this.baseUrl = options.baseUrl || 'https://api.laikatest.com';
-    this.timeout = options.timeout || 10000; // 10 seconds
-    this.cacheTtl = options.cacheTtl || 30 * 60 * 1000; // 30 minutes
-    
-    this.assignmentCache = new AssignmentCache(this.cacheTtl);
-    
-    // Start cleanup interval
-    this.cleanupInterval = setInterval(() => {
-      this.assignmentCache.cleanup();
-    }, 5 * 60 * 1000); // Cleanup every 5 minutes
-  }
+    if (userFeedback !== undefined) {
+      if (!['positive', 'negative', 'neutral'].includes(userFeedback)) {
+        throw new ValidationError('userFeedback must be "positive", "negative", or "neutral"');
+      }
+      eventData.user_feedback = userFeedback;
+    }
 
-  /**
-   * Make HTTP request
-   */
-  _makeRequest(method, path, data = null) {
-    return new Promise((resolve, reject) => {
-      const url = new URL(path, this.baseUrl);
-      const isHttps = url.protocol === 'https:';
-      const httpModule = isHttps ? https : http;
-      
-      const options = {
-        hostname: url.hostname,
-        port: url.port || (isHttps ? 443 : 80),
-        path: url.pathname + url.search,
-        method: method,
-        headers: {
-          'Authorization': `Bearer ${this.apiKey}`,
-          'Content-Type': 'application/json',
-          'User-Agent': 'LaikaTestClient/1.0.0'
-        },
-        timeout: this.timeout
-      };
+    if (latencyMs !== undefined) {
+      if (typeof latencyMs !== 'number' || !isFinite(latencyMs) || latencyMs < 0) {
+        throw new ValidationError('latencyMs must be a non-negative number');
+      }
+      eventData.latency_ms = latencyMs;
+    }
 
-      if (data) {
-        const jsonData = JSON.stringify(data);
-        options.headers['Content-Length'] = Buffer.byteLength(jsonData);
+    for (const [name, field, value] of [
+      ['promptTokens', 'prompt_tokens', promptTokens],
+      ['completionTokens', 'completion_tokens', completionTokens]
+    ]) {
+      if (value !== undefined) {
+        if (!Number.isInteger(value) || value < 0) {
+          throw new ValidationError(`${name} must be a non-negative integer`);
+        }
+        eventData[field] = value;
       }
+    }
 
-      const req = httpModule.request(options, (res) => {
-        let responseData = '';
-        
-        res.on('data', (chunk) => {
-          responseData += chunk;
-        });
-        
-        res.on('end', () => {
-          try {
-            const parsed = JSON.parse(responseData);
-            
-            if (res.statusCode >= 200 && res.statusCode < 300) {
-              resolve(parsed);
-            } else {
-              const errorMessage = parsed.error || `HTTP ${res.statusCode}`;
-              reject(new LaikaServiceError(errorMessage, res.statusCode, parsed));
-            }
-          } catch (parseError) {
-            reject(new NetworkError('Invalid JSON response', parseError));
-          }
-        });
-      });
+    if (model !== undefined) {
+      if (typeof model !== 'string' || model.length === 0 || model.length > 256) {
+        throw new ValidationError('model must be a non-empty string of at most 256 characters');
+      }
+      eventData.model = model;
+    }
 
-      req.on('error', (error) => {
-        reject(new NetworkError('Network request failed', error));
-      });
+    if (metadata !== undefined) {
+      eventData.metadata = this._validateMetadata(metadata);
+    }
 
-      req.on('timeout', () => {
-        req.destroy();
-        reject(new NetworkError('Request timeout'));
-      });
+    if (metrics !== undefined) {
+      eventData.metrics = this._validateMetrics(metrics);
+    }
 
-      if (data) {
-        req.write(JSON.stringify(data));
+    if (isFallback) {
+      if (this.fallbackTracking === 'skip') {
+        return null;
       }
-      
-      req.end();
-    });
+      eventData.experiment_id = finalExperimentId;
+      eventData.is_fallback = true;
+    }
+
+    return eventData;
   }
 
   /**
-   * Get prompt for user-based assignment
+   * Validate the metrics constructor option: { name: { min, max, higherIsBetter } }
    */
-  async getPromptForUser(experimentId, userId) {
-    if (!experimentId) {
-      throw new ValidationError('experimentId is required');
-    }
-    if (!userId) {
-      throw new ValidationError('userId is required');
+  _validateMetricDefinitions(definitions) {
+    if (!definitions || typeof definitions !== 'object' || Array.isArray(definitions)) {
+      throw new ValidationError('metrics must be an object of metric definitions');
     }
 
-    // Check cache first
-    const cached = this.assignmentCache.get(experimentId, userId, null);
-    if (cached) {
-      return cached;
+    const result = {};
+    for (const [name, definition] of Object.entries(definitions)) {
+      if (!METRIC_NAME.test(name)) {
+        throw new ValidationError(`Invalid metric name "${name}": use letters, digits and underscores (at most 64 characters)`);
+      }
+      const { min = -Infinity, max = Infinity, higherIsBetter = true } = definition || {};
+      if (typeof min !== 'number' || typeof max !== 'number' || isNaN(min) || isNaN(max) || min > max) {
+        throw new ValidationError(`metrics.${name} must have numeric min <= max`);
+      }
+      if (typeof higherIsBetter !== 'boolean') {
+        throw new ValidationError(`metrics.${name}.higherIsBetter must be a boolean`);
+      }
+      result[name] = { min, max, higherIsBetter };
     }
+    return result;
+  }
 
-    const requestData = {
-      split_type: 'user',
-      user_id: userId
-    };
+  /**
+   * Check each tracked metric is defined and within its configured range
+   */
+  _validateMetrics(metrics) {
+    if (!metrics || typeof metrics !== 'object' || Array.isArray(metrics)) {
+      throw new ValidationError('metrics must be an object of metric values');
+    }
 
-    try {
-      const response = await this._makeRequest('POST', `/api/v1/experiments/${experimentId}/prompt`, requestData);
-      
-      if (!response.success || !response.data) {
-        throw new LaikaServiceError('Invalid response format');
+    const result = {};
+    for (const [name, value] of Object.entries(metrics)) {
+      const definition = this.metricDefinitions[name];
+      if (!definition) {
+        throw new ValidationError(`Unknown metric "${name}"; define it in the metrics client option`);
       }
-
-      // Store in cache
-      this.assignmentCache.store(experimentId, userId, null, response.data);
-      
-      return response.data;
-    } catch (error) {
-      if (error instanceof LaikaServiceError || error instanceof NetworkError) {
-        throw error;
+      if (typeof value !== 'number' || !isFinite(value) || value < definition.min || value > definition.max) {
+        throw new ValidationError(`metrics.${name} must be a number between ${definition.min} and ${definition.max}`);
       }
-      throw new LaikaServiceError('Failed to get prompt assignment', null, error);
+      result[name] = value;
     }
+    return result;
   }
 
   /**
-   * Get prompt for session-based assignment
+   * Check metadata is a JSON object within maxMetadataBytes; returns a JSON-safe copy
    */
-  async getPromptForSession(experimentId, sessionId) {
-    if (!experimentId) {
-      throw new ValidationError('experimentId is required');
+  _validateMetadata(metadata) {
+    if (!metadata || typeof metadata !== 'object' || Array.isArray(metadata)) {
+      throw new ValidationError('metadata must be a plain object');
     }
-    if (!sessionId) {
-      throw new ValidationError('sessionId is required');
+
+    let json;
+    try {
+      json = JSON.stringify(metadata);
+    } catch (error) {
+      throw new ValidationError(`metadata must be JSON-serializable: ${error.message}`);
     }
 
-    // Check cache first
-    const cached = this.assignmentCache.get(experimentId, null, sessionId);
-    if (cached) {
-      return cached;
+    const bytes = Buffer.byteLength(json);
+    if (bytes > this.maxMetadataBytes) {
+      throw new ValidationError(`metadata is ${bytes} bytes, more than the ${this.maxMetadataBytes} byte limit`);
     }
 
-    const requestData = {
-      split_type: 'session',
-      session_id: sessionId
-    };
+    // Queued and spooled events must not change if the caller mutates the object later
+    return JSON.parse(json);
+  }
 
+  /**
+   * Send a batch of queued events
+   */
+  async _sendEventBatch(events) {
     try {
-      const response = await this._makeRequest('POST', `/api/v1/experiments/${experimentId}/prompt`, requestData);
-      
-      if (!response.success || !response.data) {
-        throw new LaikaServiceError('Invalid response format');
+      const response = await this._makeRequest('POST', '/api/v1/events/batch', { events });
+
+      if (!response.success) {
+        throw new LaikaServiceError('Failed to track events');
       }
 
-      // Store in cache
-      this.assignmentCache.store(experimentId, null, sessionId, response.data);
-      
       return response.data;
     } catch (error) {
       if (error instanceof LaikaServiceError || error instanceof NetworkError) {
         throw error;
       }
-      throw new LaikaServiceError('Failed to get prompt assignment', null, error);
+      throw new LaikaServiceError('Failed to track events', null, error);
     }
   }
 
   /**
-   * Get prompt for random assignment
+   * Spool events that failed to send, or report them as lost
    */
-  async getRandomPrompt(experimentId) {
-    if (!experimentId) {
-      throw new ValidationError('experimentId is required');
+  _handleUndeliveredEvents(error, events) {
+    if (this.spool && this._isRetryableError(error)) {
+      return this._spoolEvents(events);
     }
+    this._reportError(error, events);
+    return false;
+  }
 
-    const requestData = {
-      split_type: 'random'
-    };
-
+  /**
+   * Append events to the spool; returns false if they could not be written
+   */
+  _spoolEvents(events) {
     try {
-      const response = await this._makeRequest('POST', `/api/v1/experiments/${experimentId}/prompt`, requestData);
-      
-      if (!response.success || !response.data) {
-        throw new LaikaServiceError('Invalid response format');
-      }
+      this.spool.append(events);
+      return true;
+    } catch (spoolError) {
+      this._reportError(spoolError, events);
+      return false;
+    }
+  }
 
-      // Don't cache random assignments
-      return response.data;
-    } catch (error) {
-      if (error instanceof LaikaServiceError || error instanceof NetworkError) {
-        throw error;
-      }
-      throw new LaikaServiceError('Failed to get prompt assignment', null, error);
+  _reportError(error, events) {
+    if (this.onError) {
+      this.onError(error, events);
     }
   }
 
   /**
-   * Find assignment in cache for automatic tracking
+   * Resend spooled events in order; resolves with the number of events delivered
    */
-  _findCachedAssignment(experimentId, userId, sessionId) {
-    // Try exact match first
-    let assignment = this.assignmentCache.get(experimentId, userId, sessionId);
-    if (assignment) {
-      return assignment;
+  replaySpool() {
+    if (!this.spool) {
+      return Promise.resolve(0);
+    }
+    if (!this._spoolReplay) {
+      this._spoolReplay = this._drainSpool().finally(() => {
+        this._spoolReplay = null;
+      });
     }
+    return this._spoolReplay;
+  }
 
-    // Try user-based assignment
-    if (userId) {
-      assignment = this.assignmentCache.get(experimentId, userId, null);
-      if (assignment) {
-        return assignment;
-      }
+  async _drainSpool() {
+    const { events, corrupt } = this.spool.readEvents();
+    if (corrupt.length > 0) {
+      this._reportError(new Error(`Discarded ${corrupt.length} unparseable spooled events`), corrupt);
     }
 
-    // Try session-based assignment
-    if (sessionId) {
-      assignment = this.assignmentCache.get(experimentId, null, sessionId);
-      if (assignment) {
-        return assignment;
+    let consumed = 0;
+    let delivered = 0;
+    try {
+      while (consumed < events.length) {
+        const batch = events.slice(consumed, consumed + this.spoolReplayBatchSize);
+        try {
+          await this._sendEventBatch(batch);
+          delivered += batch.length;
+        } catch (error) {
+          // Transient failures stop the replay; rejected events would block the spool forever
+          if (this._isRetryableError(error)) {
+            throw error;
+          }
+          this._reportError(error, batch);
+        }
+        consumed += batch.length;
       }
+    } finally {
+      this.spool.remove(consumed);
     }
 
-    return null;
+    return delivered;
+  }
+
+  _replaySpoolInBackground() {
+    this.replaySpool().catch((error) => {
+      // Still unreachable; events stay spooled for the next attempt
+      if (!this._isRetryableError(error)) {
+        this._reportError(error);
+      }
+    });
   }
 
   /**
-   * Track outcome with automatic assignment resolution
+   * Send all queued events and exposures; resolves with { spooled } once everything queued so far is sent or spooled
    */
-  async trackOutcome(outcome, options = {}) {
-    if (!outcome || !['success', 'failure'].includes(outcome)) {
-      throw new ValidationError('outcome must be "success" or "failure"');
+  async flush() {
+    // Flush both queues even if one fails, then surface the first failure
+    const results = await Promise.all([this.exposureQueue, this.eventQueue].map(queue => (
+      queue ? queue.flush().then(value => ({ value }), error => ({ error })) : {}
+    )));
+
+    const failed = results.find(result => result.error);
+    if (failed) {
+      throw failed.error;
     }
 
-    const { experimentId, userId, sessionId, score, userFeedback, assignmentId } = options;
+    // Events that failed to send but were written to the spool are not lost
+    return { spooled: results[1].value ? results[1].value.spooled : 0 };
+  }
 
-    let assignment;
-    let finalAssignmentId;
-    let finalExperimentId;
+  /**
+   * Track success (convenience method)
+   */
+  async trackSuccess(options = {}) {
+    return this.trackOutcome('success', options);
+  }
 
-    if (assignmentId && experimentId) {
-      // Explicit assignment provided
-      finalAssignmentId = assignmentId;
-      finalExperimentId = experimentId;
-    } else if (experimentId && (userId || sessionId)) {
-      // Try to find assignment in cache
-      assignment = this._findCachedAssignment(experimentId, userId, sessionId);
-      if (!assignment) {
-        throw new AssignmentNotFoundError(
-          `No assignment found for experiment ${experimentId}. Call getPrompt* method first.`
-        );
-      }
-      finalAssignmentId = assignment.assignment_id;
-      finalExperimentId = experimentId;
+  /**
+   * Track failure (convenience method)
+   */
+  async trackFailure(options = {}) {
+    return this.trackOutcome('failure', options);
+  }
+
+  /**
+   * Track with user feedback (convenience method)
+   */
+  async trackFeedback(feedback, options = {}) {
+    return this.trackOutcome('success', { ...options, userFeedback: feedback });
+  }
+
+  /**
+   * Get an assignment, run fn with it, and track the outcome and elapsed time
+   *
+   * Resolves with fn's result; if fn rejects, a failure is tracked and the
+   * error is re-thrown. options.scorer derives a score from the result and
+   * options.usage derives token counts, model and metadata from it.
+   * Tracking errors never affect the result and are reported through onError.
+   */
+  async withExperiment(options, fn) {
+    const { experimentId, scorer, usage, metadata } = options || {};
+    let { userId, sessionId } = options || {};
+    if (!experimentId) {
+      throw new ValidationError('experimentId is required');
+    }
+    if (typeof fn !== 'function') {
+      throw new ValidationError('fn must be a function');
+    }
+    if (scorer !== undefined && typeof scorer !== 'function') {
+      throw new ValidationError('scorer must be a function');
+    }
+    if (usage !== undefined && typeof usage !== 'function') {
+      throw new ValidationError('usage must be a function');
+    }
+
+    // Without an explicit identity, use the one set by runWithContext
+    const context = this._currentContext();
+    if (!userId && !sessionId && context) {
+      userId = context.userId;
+      sessionId = context.userId ? null : context.sessionId;
+    }
+
+    let assignment;
+    if (userId) {
+      assignment = await this.getPromptForUser(experimentId, userId);
+    } else if (sessionId) {
+      assignment = await this.getPromptForSession(experimentId, sessionId);
     } else {
-      throw new ValidationError('Either (assignmentId + experimentId) or (experimentId + userId/sessionId) must be provided');
+      assignment = await this.getRandomPrompt(experimentId);
     }
 
-    const eventData = {
-      assignment_id: finalAssignmentId,
-      outcome: outcome
+    // Fallback assignments have no ID; tracking by user/session applies the fallback policy
+    const trackingOptions = { experimentId, userId, sessionId, metadata };
+    if (assignment.assignment_id) {
+      trackingOptions.assignmentId = assignment.assignment_id;
+    }
+
+    const startedAt = process.hrtime();
+    const elapsedMs = () => {
+      const [seconds, nanoseconds] = process.hrtime(startedAt);
+      return seconds * 1000 + nanoseconds / 1e6;
     };
 
-    // Add optional fields
-    if (score !== undefined) {
-      if (typeof score !== 'number' || score < 0 || score > 10) {
-        throw new ValidationError('score must be a number between 0 and 10');
-      }
-      eventData.score = score;
+    let result;
+    try {
+      result = await fn(assignment);
+    } catch (error) {
+      await this._trackQuietly('failure', { ...trackingOptions, latencyMs: elapsedMs() });
+      throw error;
     }
 
-    if (userFeedback !== undefined) {
-      if (!['positive', 'negative', 'neutral'].includes(userFeedback)) {
-        throw new ValidationError('userFeedback must be "positive", "negative", or "neutral"');
+    const latencyMs = elapsedMs();
+    let score;
+    if (scorer) {
+      try {
+        score = await scorer(result, assignment);
+        // An invalid score is dropped so the outcome itself is still tracked
+        if (score !== null && score !== undefined && (typeof score !== 'number' || !(score >= 0 && score <= 10))) {
+          throw new ValidationError(`scorer must return a number between 0 and 10, got ${score}`);
+        }
+      } catch (error) {
+        score = undefined;
+        this._reportError(error);
       }
-      eventData.user_feedback = userFeedback;
     }
 
-    try {
-      const response = await this._makeRequest('POST', '/api/v1/events', eventData);
-      
-      if (!response.success) {
-        throw new LaikaServiceError('Failed to track event');
+    let usageFields = {};
+    if (usage) {
+      try {
+        const { promptTokens, completionTokens, model, metrics, metadata: resultMetadata } = (await usage(result, assignment)) || {};
+        usageFields = Object.fromEntries(Object.entries({ promptTokens, completionTokens, model, metrics })
+          .filter(([, value]) => value !== null && value !== undefined));
+        if (resultMetadata) {
+          usageFields.metadata = { ...metadata, ...resultMetadata };
+        }
+      } catch (error) {
+        this._reportError(error);
       }
+    }
 
-      return response.data;
+    await this._trackQuietly('success', {
+      ...trackingOptions,
+      ...usageFields,
+      latencyMs,
+      score: score === null ? undefined : score
+    });
+    return result;
+  }
+
+  // Track an outcome, reporting failures through onError instead of throwing
+  async _trackQuietly(outcome, options) {
+    try {
+      await this.trackOutcome(outcome, options);
     } catch (error) {
-      if (error instanceof LaikaServiceError || error instanceof NetworkError) {
-        throw error;
-      }
-      throw new LaikaServiceError('Failed to track outcome', null, error);
+      this._reportError(error);
     }
   }
 
   /**
-   * Track success (convenience method)
+   * Express middleware that assigns the given experiments to each request
+   *
+   * Sets req.promptAssignments (experiment ID -> assignment, or null when
+   * assignment failed without a fallback) and req.trackOutcome/trackSuccess/
+   * trackFailure/trackFeedback bound to the request's identity.
    */
-  async trackSuccess(options = {}) {
-    return this.trackOutcome('success', options);
+  expressMiddleware(options) {
+    const assignRequest = this._createRequestAssigner(options);
+    return (req, res, next) => {
+      assignRequest(req).then((context) => {
+        Object.assign(req, context);
+        next();
+      }, next);
+    };
   }
 
   /**
-   * Track failure (convenience method)
+   * Koa middleware; sets the same properties as expressMiddleware on ctx.state
    */
-  async trackFailure(options = {}) {
-    return this.trackOutcome('failure', options);
+  koaMiddleware(options) {
+    const assignRequest = this._createRequestAssigner(options);
+    return async (ctx, next) => {
+      Object.assign(ctx.state, await assignRequest(ctx));
+      await next();
+    };
   }
 
   /**
-   * Track with user feedback (convenience method)
+   * Fastify plugin; sets the same properties as expressMiddleware on request
+   *
+   * Register with fastify.register(client.fastifyPlugin(options)). It applies
+   * to the whole instance, as if wrapped with fastify-plugin.
    */
-  async trackFeedback(feedback, options = {}) {
-    return this.trackOutcome('success', { ...options, userFeedback: feedback });
+  fastifyPlugin(options) {
+    const assignRequest = this._createRequestAssigner(options);
+    const plugin = (fastify, pluginOptions, done) => {
+      for (const name of ['promptAssignments', 'trackOutcome', 'trackSuccess', 'trackFailure', 'trackFeedback']) {
+        fastify.decorateRequest(name, null);
+      }
+      fastify.addHook('preHandler', async (request) => {
+        Object.assign(request, await assignRequest(request));
+      });
+      done();
+    };
+    plugin[Symbol.for('skip-override')] = true;
+    plugin[Symbol.for('fastify.display-name')] = 'laika-test';
+    return plugin;
+  }
+
+  /**
+   * Build the per-request assignment step shared by the framework integrations
+   *
+   * options.identify(request) returns { userId, sessionId }; by default the user
+   * ID comes from request.user.id and the session ID from options.sessionCookie.
+   * Requests with neither get random assignments. Assignment errors that no
+   * fallback covers are reported through onError, unless options.failOnError
+   * passes them to the framework.
+   */
+  _createRequestAssigner(options = {}) {
+    const { experiments, identify, sessionCookie = 'sessionId', failOnError = false } = options;
+    if (!Array.isArray(experiments) || experiments.length === 0 || experiments.some(id => !id || typeof id !== 'string')) {
+      throw new ValidationError('experiments must be a non-empty array of experiment IDs');
+    }
+    if (identify !== undefined && typeof identify !== 'function') {
+      throw new ValidationError('identify must be a function');
+    }
+
+    return async (source) => {
+      const { userId, sessionId } = (identify ? await identify(source) : identifyRequest(source, sessionCookie)) || {};
+
+      let assignments = {};
+      let errors = {};
+      if (userId || sessionId) {
+        // One batch request for all experiments not already cached
+        ({ assignments, errors } = await this._getAssignments(experiments, userId || null, userId ? null : sessionId));
+      } else {
+        await Promise.all(experiments.map(async (experimentId) => {
+          try {
+            assignments[experimentId] = await this.getRandomPrompt(experimentId);
+          } catch (error) {
+            errors[experimentId] = error;
+          }
+        }));
+      }
+
+      const promptAssignments = {};
+      for (const experimentId of experiments) {
+        if (errors[experimentId]) {
+          if (failOnError) {
+            throw errors[experimentId];
+          }
+          this._reportError(errors[experimentId]);
+          promptAssignments[experimentId] = null;
+        } else {
+          promptAssignments[experimentId] = assignments[experimentId];
+        }
+      }
+
+      const trackOutcome = async (outcome, trackingOptions = {}) => {
+        const experimentId = trackingOptions.experimentId || (experiments.length === 1 ? experiments[0] : undefined);
+        if (!experiments.includes(experimentId)) {
+          throw new ValidationError(`experimentId must be one of: ${experiments.join(', ')}`);
+        }
+
+        const assignment = promptAssignments[experimentId];
+        if (!assignment) {
+          return { skipped: true };
+        }
+
+        const identity = { experimentId, userId, sessionId };
+        if (assignment.assignment_id) {
+          identity.assignmentId = assignment.assignment_id;
+        }
+        return this.trackOutcome(outcome, { ...trackingOptions, ...identity });
+      };
+
+      return {
+        promptAssignments,
+        trackOutcome,
+        trackSuccess: trackingOptions => trackOutcome('success', trackingOptions),
+        trackFailure: trackingOptions => trackOutcome('failure', trackingOptions),
+        trackFeedback: (feedback, trackingOptions) => trackOutcome('success', { ...trackingOptions, userFeedback: feedback })
+      };
+    };
   }
 
   /**
    * Get filtered events for an experiment
    */
   async getExperimentEvents(experimentId, filters = {}) {
+    const { events, meta } = await this._getEventPage(experimentId, filters);
+    return {
+      events,
+      meta: meta || { total: 0, page: filters.page || 1, limit: filters.limit || 50 }
+    };
+  }
+
+  /**
+   * Fetch a page of events; meta is null when the server sends none
+   */
+  async _getEventPage(experimentId, filters = {}, requestOptions = {}) {
     if (!experimentId) {
       throw new ValidationError('experimentId is required');
     }
@@ -429,6 +3435,7 @@ class LaikaTestClient {
       maxScore,
       feedback,
       outcome,
+      metrics,
       page = 1,
       limit = 50
     } = filters;
@@ -470,6 +3477,23 @@ class LaikaTestClient {
       throw new ValidationError('outcome must be "success" or "failure"');
     }
 
+    // Validate metric ranges: { name: { min, max } }
+    if (metrics !== undefined && (!metrics || typeof metrics !== 'object' || Array.isArray(metrics))) {
+      throw new ValidationError('metrics filter must be an object of { min, max } ranges');
+    }
+    for (const [name, range] of Object.entries(metrics || {})) {
+      if (!METRIC_NAME.test(name)) {
+        throw new ValidationError(`Invalid metric name "${name}"`);
+      }
+      const { min, max } = range || {};
+      if ((min !== undefined && typeof min !== 'number') || (max !== undefined && typeof max !== 'number')) {
+        throw new ValidationError(`metrics.${name}.min and max must be numbers`);
+      }
+      if (min !== undefined && max !== undefined && min > max) {
+        throw new ValidationError(`metrics.${name}.min must not exceed max`);
+      }
+    }
+
     // Build query parameters
     const queryParams = new URLSearchParams();
     
@@ -481,6 +3505,11 @@ class LaikaTestClient {
     if (maxScore !== undefined) queryParams.append('max_score', maxScore.toString());
     if (feedback) queryParams.append('feedback', feedback);
     if (outcome) queryParams.append('outcome', outcome);
+    for (const [name, range] of Object.entries(metrics || {})) {
+      const { min, max } = range || {};
+      if (min !== undefined) queryParams.append(`min_metric.${name}`, min.toString());
+      if (max !== undefined) queryParams.append(`max_metric.${name}`, max.toString());
+    }
     
     queryParams.append('page', page.toString());
     queryParams.append('limit', limit.toString());
@@ -489,7 +3518,7 @@ class LaikaTestClient {
     const path = `/api/v1/experiments/${experimentId}/events${queryString ? '?' + queryString : ''}`;
 
     try {
-      const response = await this._makeRequest('GET', path);
+      const response = await this._makeRequest('GET', path, null, requestOptions);
       
       if (!response.success) {
         throw new LaikaServiceError('Failed to fetch events');
@@ -497,7 +3526,7 @@ class LaikaTestClient {
 
       return {
         events: response.data || [],
-        meta: response.meta || { total: 0, page, limit }
+        meta: response.meta || null
       };
     } catch (error) {
       if (error instanceof LaikaServiceError || error instanceof NetworkError) {
@@ -507,6 +3536,447 @@ class LaikaTestClient {
     }
   }
 
+  /**
+   * Iterate over every event matching the filters, fetching pages as needed
+   *
+   * options.prefetch is the number of pages requested ahead of the consumer
+   * (default: 1); options.pageInterval spaces page requests in ms and
+   * options.maxRateLimitRetries bounds how often a 429 is waited out (default: 5).
+   * Rate-limited pages are retried here rather than by the client's retry policy.
+   */
+  iterateExperimentEvents(experimentId, filters = {}, options = {}) {
+    if (!experimentId) {
+      throw new ValidationError('experimentId is required');
+    }
+
+    return this._iterateExperimentEvents(experimentId, filters, this._getPagingOptions(options));
+  }
+
+  /**
+   * Validate the paging options shared by event iteration and export, applying defaults
+   */
+  _getPagingOptions(options) {
+    const { prefetch = 1, pageInterval = 0, maxRateLimitRetries = 5 } = options;
+    if (!Number.isInteger(prefetch) || prefetch < 0) {
+      throw new ValidationError('prefetch must be a non-negative integer');
+    }
+    if (typeof pageInterval !== 'number' || pageInterval < 0) {
+      throw new ValidationError('pageInterval must be a non-negative number');
+    }
+    if (!Number.isInteger(maxRateLimitRetries) || maxRateLimitRetries < 0) {
+      throw new ValidationError('maxRateLimitRetries must be a non-negative integer');
+    }
+    return { prefetch, pageInterval, maxRateLimitRetries };
+  }
+
+  async *_iterateExperimentEvents(experimentId, filters, options) {
+    for await (const { events } of this._iterateEventPages(experimentId, filters, options)) {
+      yield* events;
+    }
+  }
+
+  // Yields { page, events } for each page, prefetching options.prefetch pages ahead
+  async *_iterateEventPages(experimentId, filters, options) {
+    const limit = filters.limit || 100;
+    const pending = [];
+    let nextPage = filters.page || 1;
+    let lastPage = Infinity;
+    let nextRequestAt = 0;
+
+    const requestNextPage = () => {
+      const page = nextPage++;
+      const wait = Math.max(0, nextRequestAt - Date.now());
+      nextRequestAt = Date.now() + wait + options.pageInterval;
+
+      const promise = sleep(wait).then(() => {
+        return this._getEventPageRespectingRateLimits(experimentId, { ...filters, page, limit }, options);
+      });
+      promise.catch(() => {}); // Prefetched pages may be abandoned when the consumer stops early
+      pending.push({ page, promise });
+    };
+
+    const fillTo = (count) => {
+      while (pending.length < count && nextPage <= lastPage) {
+        requestNextPage();
+      }
+    };
+
+    fillTo(1);
+    while (pending.length > 0) {
+      const { page, promise } = pending.shift();
+      const { events, meta } = await promise;
+
+      // Without meta from the server, a short or empty page is the last one
+      if (meta && typeof meta.total === 'number') {
+        lastPage = Math.min(lastPage, Math.ceil(meta.total / limit));
+      }
+      if (events.length < limit) {
+        lastPage = Math.min(lastPage, page);
+      }
+
+      // Fetch ahead while the consumer works through this page
+      fillTo(options.prefetch);
+
+      yield { page, events };
+
+      if (page >= lastPage) {
+        return;
+      }
+      fillTo(1);
+    }
+  }
+
+  /**
+   * Fetch a page of events, waiting out 429 responses
+   */
+  async _getEventPageRespectingRateLimits(experimentId, filters, options) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await this._getEventPage(experimentId, filters, { retryRateLimited: false });
+      } catch (error) {
+        if (!(error instanceof LaikaServiceError) || error.statusCode !== 429 || attempt > options.maxRateLimitRetries) {
+          throw error;
+        }
+        const delay = this._getBackoffDelay(error, attempt);
+        if (delay === null) {
+          throw error;
+        }
+        await sleep(delay);
+      }
+    }
+  }
+
+  /**
+   * Stream every event matching the filters to a writable stream or file as NDJSON or CSV
+   *
+   * Pages are written as they arrive, so memory use is bounded by the page size.
+   * With options.checkpoint, progress is saved after each page and a rerun with
+   * the same arguments resumes after the last completed page.
+   */
+  async exportExperimentEvents(experimentId, filters = {}, options = {}) {
+    if (!experimentId) {
+      throw new ValidationError('experimentId is required');
+    }
+
+    const { format = 'ndjson', output, file, checkpoint, metadataColumns } = options;
+    const pagingOptions = this._getPagingOptions(options);
+    if (!['ndjson', 'csv'].includes(format)) {
+      throw new ValidationError('format must be "ndjson" or "csv"');
+    }
+    if (!output === !file) {
+      throw new ValidationError('Exactly one of output or file is required');
+    }
+    if (output && typeof output.write !== 'function') {
+      throw new ValidationError('output must be a writable stream');
+    }
+    if (metadataColumns !== undefined && (!Array.isArray(metadataColumns) || metadataColumns.some(column => typeof column !== 'string'))) {
+      throw new ValidationError('metadataColumns must be an array of strings');
+    }
+
+    const firstPage = filters.page || 1;
+    let state = {
+      experimentId,
+      filters,
+      format,
+      columns: metadataColumns || null,
+      page: firstPage - 1,
+      events: 0,
+      bytes: 0
+    };
+
+    const saved = checkpoint ? this._readExportCheckpoint(checkpoint) : null;
+    if (saved) {
+      if (saved.experimentId !== experimentId || saved.format !== format ||
+          JSON.stringify(saved.filters) !== JSON.stringify(filters)) {
+        throw new ValidationError(`Checkpoint ${checkpoint} belongs to a different export`);
+      }
+      state = saved;
+    }
+
+    let fd = null;
+    if (file) {
+      fd = fs.openSync(file, saved ? 'r+' : 'w');
+      if (saved) {
+        if (fs.fstatSync(fd).size < state.bytes) {
+          fs.closeSync(fd);
+          throw new Error(`Export file ${file} is shorter than its checkpoint`);
+        }
+        // Drop anything written after the last checkpoint
+        fs.ftruncateSync(fd, state.bytes);
+      }
+    }
+
+    const write = async (chunk) => {
+      const buffer = Buffer.from(chunk);
+      if (fd !== null) {
+        fs.writeSync(fd, buffer, 0, buffer.length, state.bytes);
+      } else {
+        await new Promise((resolve, reject) => {
+          output.write(buffer, error => (error ? reject(error) : resolve()));
+        });
+      }
+      state.bytes += buffer.length;
+    };
+
+    try {
+      const pages = this._iterateEventPages(experimentId, { ...filters, page: state.page + 1 }, pagingOptions);
+      let headerPending = format === 'csv' && state.page === firstPage - 1;
+
+      for await (const { page, events } of pages) {
+        let chunk = '';
+        if (format === 'csv') {
+          if (state.columns === null) {
+            state.columns = this._inferMetadataColumns(events);
+          }
+          if (headerPending) {
+            chunk += this._formatCsvHeader(state.columns);
+            headerPending = false;
+          }
+          chunk += events.map(event => this._formatCsvRow(event, state.columns)).join('');
+        } else {
+          chunk += events.map(event => JSON.stringify(event) + '\n').join('');
+        }
+
+        if (chunk) {
+          await write(chunk);
+        }
+        state.page = page;
+        state.events += events.length;
+        if (checkpoint) {
+          this._writeExportCheckpoint(checkpoint, state);
+        }
+      }
+
+      if (headerPending) {
+        await write(this._formatCsvHeader(state.columns || []));
+      }
+    } finally {
+      if (fd !== null) {
+        fs.closeSync(fd);
+      }
+    }
+
+    if (checkpoint && fs.existsSync(checkpoint)) {
+      fs.unlinkSync(checkpoint);
+    }
+
+    return { events: state.events, bytes: state.bytes, resumed: saved !== null };
+  }
+
+  // Metadata columns for a CSV export, taken from the first page in sorted order
+  _inferMetadataColumns(events) {
+    const columns = new Set();
+    for (const event of events) {
+      if (event.metadata && typeof event.metadata === 'object') {
+        Object.keys(flattenObject(event.metadata)).forEach(column => columns.add(column));
+      }
+    }
+    return Array.from(columns).sort();
+  }
+
+  _formatCsvHeader(metadataColumns) {
+    const header = EXPORT_EVENT_COLUMNS
+      .concat(metadataColumns.map(column => `metadata.${column}`))
+      .concat('metadata_other');
+    return header.map(toCsvField).join(',') + '\r\n';
+  }
+
+  // Metadata keys without a column of their own go into metadata_other as JSON
+  _formatCsvRow(event, metadataColumns) {
+    const metadata = event.metadata && typeof event.metadata === 'object' ? flattenObject(event.metadata) : {};
+    const other = {};
+    for (const key of Object.keys(metadata)) {
+      if (!metadataColumns.includes(key)) {
+        other[key] = metadata[key];
+      }
+    }
+
+    const fields = EXPORT_EVENT_COLUMNS.map(column => event[column])
+      .concat(metadataColumns.map(column => metadata[column]))
+      .concat(Object.keys(other).length > 0 ? JSON.stringify(other) : null);
+    return fields.map(toCsvField).join(',') + '\r\n';
+  }
+
+  _readExportCheckpoint(checkpointPath) {
+    let content;
+    try {
+      content = fs.readFileSync(checkpointPath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+    return JSON.parse(content);
+  }
+
+  // Write-then-rename so an interrupted export never leaves a partial checkpoint
+  _writeExportCheckpoint(checkpointPath, state) {
+    const temporaryPath = `${checkpointPath}.tmp`;
+    fs.writeFileSync(temporaryPath, JSON.stringify(state));
+    fs.renameSync(temporaryPath, checkpointPath);
+  }
+
+  /**
+   * Fetch every event matching the filters and summarize them per variant
+   */
+  async getExperimentStats(experimentId, filters = {}, options = {}) {
+    const { builder, controlVariantId } = await this._collectExperimentEvents(experimentId, filters, options);
+    return { experimentId, ...builder.build({ ...options, controlVariantId }) };
+  }
+
+  /**
+   * Fetch every event matching the filters and compare variants with Bayesian posteriors
+   *
+   * Results are reproducible for a given seed (options.seed, default: 1).
+   */
+  async getBayesianExperimentStats(experimentId, filters = {}, options = {}) {
+    const { builder, controlVariantId } = await this._collectExperimentEvents(experimentId, filters, options);
+    return { experimentId, ...builder.buildBayesian({ metrics: this.metricDefinitions, ...options, controlVariantId }) };
+  }
+
+  // The control defaults to the variant marked is_control in the experiment config
+  async _collectExperimentEvents(experimentId, filters, options) {
+    if (!experimentId) {
+      throw new ValidationError('experimentId is required');
+    }
+
+    let { controlVariantId } = options;
+    if (controlVariantId === undefined) {
+      const config = this.experimentConfigs.get(experimentId) || await this._fetchExperimentConfig(experimentId);
+      const control = config.variants.find(variant => variant.is_control);
+      controlVariantId = control ? control.variant_id : null;
+    }
+
+    const builder = new ExperimentStatsBuilder();
+    for await (const event of this.iterateExperimentEvents(experimentId, filters, options)) {
+      builder.add(event);
+    }
+    return { builder, controlVariantId };
+  }
+
+  /**
+   * Distinct users and sessions this client assigned per variant (plus each random assignment); cache hits and re-fetches are not double counted
+   */
+  getAssignmentCounts(experimentId) {
+    const tally = this._assignmentCounts.get(experimentId);
+    return tally ? Object.fromEntries(tally.counts) : {};
+  }
+
+  /**
+   * Start counting assignments afresh for one experiment, or for all when experimentId is omitted
+   */
+  resetAssignmentCounts(experimentId) {
+    if (experimentId === undefined) {
+      this._assignmentCounts.clear();
+    } else {
+      this._assignmentCounts.delete(experimentId);
+    }
+  }
+
+  // Count distinct users and sessions per variant, so re-fetches after expiry or refreshes are not double counted
+  _countAssignment(experimentId, assignment, userId, sessionId) {
+    if (!this._assignmentCounts.has(experimentId)) {
+      this._assignmentCounts.set(experimentId, { counts: new Map(), identities: new Map() });
+    }
+    const { counts, identities } = this._assignmentCounts.get(experimentId);
+    const variantId = assignment.variant_id;
+    const identity = userId ? `user:${userId}` : sessionId ? `session:${sessionId}` : null;
+
+    if (identity) {
+      const seen = identities.get(identity) === variantId;
+      identities.delete(identity); // Re-insert as most recently seen
+      identities.set(identity, variantId);
+      if (identities.size > this._maxCountedIdentities) {
+        identities.delete(identities.keys().next().value);
+      }
+      if (seen) {
+        return;
+      }
+    }
+
+    // Every random assignment is its own unit
+    counts.set(variantId, (counts.get(variantId) || 0) + 1);
+  }
+
+  /**
+   * Test observed per-variant counts against the expected traffic weights
+   *
+   * options.source is 'local' (this client's assignment counts, the default) or
+   * 'events' (distinct assignments among events matching options.filters).
+   * Weights come from options.weights or the experiment config.
+   */
+  async checkSampleRatioMismatch(experimentId, options = {}) {
+    if (!experimentId) {
+      throw new ValidationError('experimentId is required');
+    }
+
+    const { source = 'local', filters = {}, weights, throwOnMismatch = false } = options;
+    if (!['local', 'events'].includes(source)) {
+      throw new ValidationError('source must be "local" or "events"');
+    }
+
+    let expectedWeights = weights;
+    if (!expectedWeights) {
+      const config = this.experimentConfigs.get(experimentId) || await this._fetchExperimentConfig(experimentId);
+      expectedWeights = {};
+      for (const variant of config.variants) {
+        expectedWeights[variant.variant_id] = variant.weight === undefined ? 1 : variant.weight;
+      }
+    }
+
+    let observedCounts;
+    if (source === 'local') {
+      observedCounts = this.getAssignmentCounts(experimentId);
+    } else {
+      // A single assignment can produce several events, so count each assignment once
+      const seen = new Map();
+      for await (const event of this.iterateExperimentEvents(experimentId, filters, options)) {
+        seen.set(event.assignment_id || event.id, event.variant_id);
+      }
+      observedCounts = {};
+      for (const variantId of seen.values()) {
+        observedCounts[variantId] = (observedCounts[variantId] || 0) + 1;
+      }
+    }
+
+    const result = { experimentId, source, ...checkSampleRatio(observedCounts, expectedWeights, options) };
+    if (result.mismatch && throwOnMismatch) {
+      const detail = result.unexpectedVariants.length > 0
+        ? `unexpected variants ${result.unexpectedVariants.join(', ')}`
+        : `p = ${result.pValue.toExponential(2)}`;
+      throw new SampleRatioMismatchError(`Sample ratio mismatch in experiment ${experimentId} (${detail})`, result);
+    }
+    return result;
+  }
+
+  /**
+   * List the template variables of each variant in an experiment's config
+   *
+   * required is the union over all variants, so callers can check up front
+   * that they supply everything any variant may ask for.
+   */
+  async getExperimentTemplateVariables(experimentId) {
+    if (!experimentId) {
+      throw new ValidationError('experimentId is required');
+    }
+
+    const config = this.experimentConfigs.get(experimentId) || await this._fetchExperimentConfig(experimentId);
+    const required = new Set();
+    const optional = new Set();
+    const variants = {};
+
+    for (const variant of config.variants) {
+      const variables = getTemplateVariables(variant.prompt_content || '');
+      variables.required.forEach(name => required.add(name));
+      variables.optional.forEach(name => optional.add(name));
+      variants[variant.variant_id] = variables;
+    }
+
+    required.forEach(name => optional.delete(name));
+    return { required: Array.from(required).sort(), optional: Array.from(optional).sort(), variants };
+  }
+
   /**
    * Helper method to validate ISO date format
    */
@@ -517,29 +3987,61 @@ class LaikaTestClient {
            (dateString.includes('Z') || dateString.includes('+') || dateString.includes('-'));
   }
 
+  /**
+   * Get assignment cache counters (a promise when the store is asynchronous)
+   */
+  getCacheStats() {
+    return this.assignmentCache.getStats();
+  }
+
   /**
    * Clear assignment cache
    */
   clearCache() {
-    this.assignmentCache.clear();
+    return this.assignmentCache.clear();
   }
 
   /**
-   * Cleanup resources
+   * Cleanup resources, draining any queued events
    */
   destroy() {
     if (this.cleanupInterval) {
       clearInterval(this.cleanupInterval);
     }
-    this.clearCache();
+    if (this.spoolReplayInterval) {
+      clearInterval(this.spoolReplayInterval);
+    }
+    if (this.configPollInterval) {
+      clearInterval(this.configPollInterval);
+    }
+
+    // A custom store may be shared with other processes, so leave it intact
+    if (!this.hasCustomStore) {
+      this.clearCache();
+    }
+
+    // Send failures were already reported through onError
+    const queues = [this.exposureQueue, this.eventQueue].filter(Boolean);
+    return Promise.all(queues.map(queue => queue.destroy().catch(() => {}))).then(() => {});
   }
 }
 
 // Export classes
 module.exports = {
   LaikaTestClient,
+  MemoryAssignmentStore,
+  analyzeExperimentEvents,
+  analyzeExperimentEventsBayesian,
+  checkSampleRatio,
+  renderPrompt,
+  getTemplateVariables,
+  parsePrompt,
+  renderChatPrompt,
+  toOpenAIChatRequest,
+  toAnthropicMessagesRequest,
   LaikaServiceError,
   NetworkError,
   ValidationError,
-  AssignmentNotFoundError
+  AssignmentNotFoundError,
+  SampleRatioMismatchError
 };
\ No newline at end of file
@@ -2,11 +2,25 @@
 
 const { 
   LaikaTestClient, 
+  MemoryAssignmentStore,
+  analyzeExperimentEvents,
+  analyzeExperimentEventsBayesian,
+  checkSampleRatio,
+  renderPrompt,
+  getTemplateVariables,
+  parsePrompt,
+  renderChatPrompt,
+  toOpenAIChatRequest,
+  toAnthropicMessagesRequest,
   LaikaServiceError, 
   NetworkError, 
   ValidationError, 
-  AssignmentNotFoundError 
+  AssignmentNotFoundError,
+  SampleRatioMismatchError
 } = require('./laika-test-client');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 
 let testCount = 0;
 let passCount = 0;
@@ -80,9 +94,9 @@ class MockServer {
     this.requests = [];
   }
 
-  setResponse(path, method, response, statusCode = 200) {
+  setResponse(path, method, response, statusCode = 200, headers = {}) {
     const key = `${method}:${path}`;
-    this.responses.set(key, { response, statusCode });
+    this.responses.set(key, { response, statusCode, headers });
   }
 
   setFailure(path, method) {
@@ -104,8 +118,8 @@ class MockServer {
     return response;
   }
 
-  recordRequest(path, method, data) {
-    this.requests.push({ path, method, data, timestamp: Date.now() });
+  recordRequest(path, method, data, headers = {}) {
+    this.requests.push({ path, method, data, headers, timestamp: Date.now() });
   }
 
   getRequests() {
@@ -119,16 +133,17 @@ class MockServer {
 }
 
 // Create a test client with mocked HTTP
-function createTestClient(mockServer) {
+function createTestClient(mockServer, options = {}) {
   const client = new LaikaTestClient('test-api-key', {
     baseUrl: 'http://localhost:3001',
     timeout: 1000,
-    cacheTtl: 5000 // 5 seconds for testing
+    cacheTtl: 5000, // 5 seconds for testing
+    ...options
   });
 
   // Override the _makeRequest method to use mock server
-  client._makeRequest = async function(method, path, data) {
-    mockServer.recordRequest(path, method, data);
+  client._makeRequest = async function(method, path, data, requestOptions = {}) {
+    mockServer.recordRequest(path, method, data, requestOptions.headers);
     
     const mockResponse = mockServer.getResponse(path, method);
     if (!mockResponse) {
@@ -147,6 +162,14 @@ function createTestClient(mockServer) {
       );
     }
 
+    if (requestOptions.fullResponse) {
+      return {
+        statusCode: mockResponse.statusCode,
+        headers: mockResponse.headers,
+        body: mockResponse.statusCode === 304 ? null : mockResponse.response
+      };
+    }
+
     return mockResponse.response;
   };
 
@@ -751,6 +774,2332 @@ async function runTests() {
     mockServer.clear();
   });
 
+  // Test 21: Retries with exponential backoff
+  await asyncTest('Retries retryable errors with backoff', async () => {
+    const client = new LaikaTestClient('test-api-key', {
+      baseUrl: 'http://localhost:3001',
+      retry: { maxAttempts: 3, initialDelay: 1, maxDelay: 10 }
+    });
+
+    let attempts = 0;
+    client._sendRequest = async function() {
+      attempts++;
+      if (attempts === 1) {
+        throw new NetworkError('Request timeout');
+      }
+      if (attempts === 2) {
+        throw new LaikaServiceError('Bad gateway', 502, {});
+      }
+      return { success: true, data: { assignment_id: 'retry-123' } };
+    };
+
+    const result = await client.getPromptForUser('exp-retry', 'user-retry');
+    assertEqual(result.assignment_id, 'retry-123');
+    assertEqual(attempts, 3);
+
+    // Gives up after maxAttempts
+    attempts = 0;
+    client._sendRequest = async function() {
+      attempts++;
+      throw new NetworkError('Network request failed');
+    };
+    await assertThrowsAsync(() => client.getRandomPrompt('exp-retry'), NetworkError);
+    assertEqual(attempts, 3);
+
+    // Non-retryable status codes fail immediately
+    attempts = 0;
+    client._sendRequest = async function() {
+      attempts++;
+      throw new LaikaServiceError('Not found', 404, {});
+    };
+    await assertThrowsAsync(() => client.getRandomPrompt('exp-retry'), LaikaServiceError);
+    assertEqual(attempts, 1);
+
+    client.destroy();
+  });
+
+  // Test 22: Retry-After handling
+  await asyncTest('Retries honor Retry-After on 429/503', async () => {
+    const client = new LaikaTestClient('test-api-key', {
+      baseUrl: 'http://localhost:3001',
+      retry: { maxAttempts: 2, initialDelay: 1, maxDelay: 1000 }
+    });
+
+    const rateLimited = new LaikaServiceError('Too many requests', 429, {});
+    rateLimited.retryAfter = 50;
+    assertEqual(client._getRetryDelay(rateLimited, 1), 50);
+
+    // A Retry-After beyond maxDelay stops retrying
+    const unavailable = new LaikaServiceError('Unavailable', 503, {});
+    unavailable.retryAfter = 60000;
+    assertEqual(client._getRetryDelay(unavailable, 1), null);
+
+    // Backoff grows exponentially and is capped
+    const noJitter = new LaikaTestClient('test-api-key', {
+      retry: { maxAttempts: 5, initialDelay: 100, maxDelay: 300, jitter: false }
+    });
+    const networkError = new NetworkError('Network request failed');
+    assertEqual(noJitter._getRetryDelay(networkError, 1), 100);
+    assertEqual(noJitter._getRetryDelay(networkError, 2), 200);
+    assertEqual(noJitter._getRetryDelay(networkError, 3), 300);
+    assertEqual(noJitter._getRetryDelay(new ValidationError('bad'), 1), null);
+
+    assertThrows(() => new LaikaTestClient('test-key', { retry: { maxAttempts: 0 } }), ValidationError);
+
+    client.destroy();
+    noJitter.destroy();
+  });
+
+  // Test 23: Batched event tracking
+  await asyncTest('Batched event tracking with flush and destroy', async () => {
+    const client = new LaikaTestClient('test-api-key', {
+      baseUrl: 'http://localhost:3001',
+      batching: { maxBatchSize: 2, flushInterval: 60000 }
+    });
+
+    const batches = [];
+    client._makeRequest = async function(method, path, data) {
+      assertEqual(path, '/api/v1/events/batch');
+      batches.push(data.events);
+      return { success: true, data: data.events.map((e, i) => ({ id: `event-${i}` })) };
+    };
+
+    client.assignmentCache.store('exp-batch', 'user-batch', null, { assignment_id: 'batch-123' });
+
+    const result = await client.trackSuccess({ experimentId: 'exp-batch', userId: 'user-batch', score: 7 });
+    assertEqual(result.queued, true);
+    assertEqual(batches.length, 0);
+    assertEqual(client.eventQueue.size, 1);
+
+    // Reaching maxBatchSize triggers a flush
+    await client.trackFailure({ experimentId: 'exp-batch', userId: 'user-batch' });
+    await client.flush();
+    assertEqual(batches.length, 1);
+    assertEqual(batches[0].length, 2);
+    assertEqual(batches[0][0].assignment_id, 'batch-123');
+    assertEqual(batches[0][1].outcome, 'failure');
+
+    // Validation still happens synchronously
+    await assertThrowsAsync(
+      () => client.trackSuccess({ experimentId: 'exp-batch', userId: 'user-batch', score: 42 }),
+      ValidationError
+    );
+
+    // destroy() drains the queue
+    await client.trackSuccess({ experimentId: 'exp-batch', userId: 'user-batch' });
+    await client.destroy();
+    assertEqual(batches.length, 2);
+    assertEqual(client.eventQueue.size, 0);
+  });
+
+  // Test 24: Batched event send failures
+  await asyncTest('Batched event failures are reported', async () => {
+    const reported = [];
+    const client = new LaikaTestClient('test-api-key', {
+      baseUrl: 'http://localhost:3001',
+      batching: { maxBatchSize: 10, flushInterval: 60000 },
+      onError: (error, events) => reported.push({ error, events })
+    });
+
+    client._makeRequest = async function() {
+      throw new NetworkError('Mock network failure');
+    };
+
+    await client.trackOutcome('success', { experimentId: 'exp-batch', assignmentId: 'assign-1' });
+    await assertThrowsAsync(() => client.flush(), NetworkError);
+    assertEqual(reported.length, 1);
+    assertEqual(reported[0].events[0].assignment_id, 'assign-1');
+
+    // destroy() never rejects
+    await client.trackOutcome('success', { experimentId: 'exp-batch', assignmentId: 'assign-2' });
+    await client.destroy();
+    assertEqual(reported.length, 2);
+  });
+
+  // Test 25: Durable event spool
+  await asyncTest('Undelivered events are spooled and replayed', async () => {
+    const spoolDir = fs.mkdtempSync(path.join(os.tmpdir(), 'laika-spool-'));
+    const spoolFile = path.join(spoolDir, 'events.ndjson');
+    const reported = [];
+
+    const failing = new LaikaTestClient('test-api-key', {
+      baseUrl: 'http://localhost:3001',
+      spool: { directory: spoolDir, replayInterval: 60000 },
+      onError: (error, events) => reported.push({ error, events })
+    });
+    failing._makeRequest = async function() {
+      throw new NetworkError('Mock network failure');
+    };
+
+    const result = await failing.trackSuccess({ experimentId: 'exp-spool', assignmentId: 'spool-1' });
+    assertEqual(result.spooled, true);
+    await failing.trackFailure({ experimentId: 'exp-spool', assignmentId: 'spool-2' });
+    await failing.destroy();
+
+    // Simulate a line cut short by a crash
+    fs.appendFileSync(spoolFile, '{"assignment_id":"spo\n');
+    fs.appendFileSync(spoolFile, JSON.stringify({ assignment_id: 'spool-3', outcome: 'success' }) + '\n');
+
+    // A restarted client replays the spool in order
+    const sent = [];
+    const restarted = new LaikaTestClient('test-api-key', {
+      baseUrl: 'http://localhost:3001',
+      spool: { directory: spoolDir, replayInterval: 60000, replayBatchSize: 2 },
+      onError: (error, events) => reported.push({ error, events })
+    });
+    restarted._makeRequest = async function(method, path, data) {
+      assertEqual(path, '/api/v1/events/batch');
+      sent.push(...data.events);
+      return { success: true, data: [] };
+    };
+
+    const delivered = await restarted.replaySpool();
+    assertEqual(delivered, 3);
+    assertEqual(sent.map(e => e.assignment_id).join(','), 'spool-1,spool-2,spool-3');
+    assertEqual(reported.length, 1);
+    assertEqual(reported[0].events.length, 1);
+    assert(!fs.existsSync(spoolFile), 'Spool file should be removed once drained');
+
+    // Non-retryable errors are not spooled
+    restarted._makeRequest = async function() {
+      throw new LaikaServiceError('Bad request', 400, {});
+    };
+    await assertThrowsAsync(
+      () => restarted.trackSuccess({ experimentId: 'exp-spool', assignmentId: 'spool-4' }),
+      LaikaServiceError
+    );
+    assert(!fs.existsSync(spoolFile));
+
+    await restarted.destroy();
+    fs.rmdirSync(spoolDir);
+  });
+
+  // Test 26: Spool with batching and size cap
+  await asyncTest('Failed batches are spooled up to maxBytes', async () => {
+    const spoolDir = fs.mkdtempSync(path.join(os.tmpdir(), 'laika-spool-'));
+    const spoolFile = path.join(spoolDir, 'events.ndjson');
+    const reported = [];
+
+    const client = new LaikaTestClient('test-api-key', {
+      baseUrl: 'http://localhost:3001',
+      batching: { maxBatchSize: 10, flushInterval: 60000 },
+      spool: { directory: spoolDir, maxBytes: 300, replayInterval: 60000 },
+      onError: (error, events) => reported.push({ error, events })
+    });
+    client._makeRequest = async function() {
+      throw new LaikaServiceError('Service unavailable', 503, {});
+    };
+
+    await client.trackSuccess({ experimentId: 'exp-spool', assignmentId: 'batch-1' });
+    await client.trackSuccess({ experimentId: 'exp-spool', assignmentId: 'batch-2' });
+    // Spooled events are not lost, so flush() resolves
+    const flushed = await client.flush();
+    assertEqual(flushed.spooled, 2);
+    assertEqual(fs.readFileSync(spoolFile, 'utf8').trim().split('\n').length, 2);
+    assertEqual(reported.length, 0);
+
+    // Over the cap, events are dropped and reported, and flush() rejects
+    for (let i = 0; i < 5; i++) {
+      await client.trackSuccess({ experimentId: 'exp-spool', assignmentId: `overflow-${i}` });
+    }
+    await assertThrowsAsync(() => client.flush(), LaikaServiceError);
+    await client.destroy();
+    assertEqual(reported.length, 1);
+    assert(reported[0].error.message.includes('spool is full'));
+
+    fs.unlinkSync(spoolFile);
+    fs.rmdirSync(spoolDir);
+  });
+
+  // Test 27: Pluggable assignment store
+  await asyncTest('Async assignment store shared between clients', async () => {
+    const shared = new Map();
+    const store = {
+      async get(key) { return shared.has(key) ? shared.get(key) : null; },
+      async set(key, value, ttlMs) { assert(ttlMs === 5000); shared.set(key, value); },
+      async delete(key) { shared.delete(key); },
+      async clear() { shared.clear(); }
+    };
+
+    const processA = createTestClient(mockServer, { assignmentStore: store });
+    const processB = createTestClient(mockServer, { assignmentStore: store });
+
+    mockServer.setResponse('/api/v1/experiments/exp-store/prompt', 'POST', {
+      success: true,
+      data: { assignment_id: 'store-123' }
+    });
+    mockServer.setResponse('/api/v1/events', 'POST', { success: true, data: { id: 'event-1' } });
+
+    await processA.getPromptForUser('exp-store', 'user-store');
+    assertEqual(shared.get('exp-store:user-store:null').assignment.assignment_id, 'store-123');
+
+    // The follow-up request lands on another process
+    await processB.trackSuccess({ experimentId: 'exp-store', userId: 'user-store' });
+    const eventRequest = mockServer.getRequests().find(r => r.path === '/api/v1/events');
+    assertEqual(eventRequest.data.assignment_id, 'store-123');
+
+    processA.destroy();
+    processB.destroy();
+    mockServer.clear();
+  });
+
+  // Test 28: Assignment store options and failures
+  await asyncTest('Assignment store validation and failures', async () => {
+    assertThrows(
+      () => new LaikaTestClient('test-key', { assignmentStore: { get() {} } }),
+      ValidationError
+    );
+
+    const reported = [];
+    const client = new LaikaTestClient('test-api-key', {
+      assignmentStore: {
+        get() { return Promise.reject(new Error('store down')); },
+        set() { return Promise.reject(new Error('store down')); },
+        delete() {},
+        clear() { throw new Error('custom stores must not be cleared on destroy'); }
+      },
+      onError: (error) => reported.push(error)
+    });
+    client._makeRequest = async function() {
+      return { success: true, data: { assignment_id: 'store-456' } };
+    };
+
+    // Store failures are cache misses, never request failures
+    const result = await client.getPromptForUser('exp-store', 'user-store');
+    assertEqual(result.assignment_id, 'store-456');
+    assertEqual(reported.length, 2);
+
+    client.destroy();
+
+    // Default store behaves as before
+    const store = new MemoryAssignmentStore();
+    store.set('key', { assignment_id: 'memory' }, 1000);
+    assertEqual(store.get('key').assignment_id, 'memory');
+    store.delete('key');
+    assertEqual(store.get('key'), null);
+  });
+
+  // Test 29: LRU eviction
+  test('Assignment cache evicts least recently used entries', () => {
+    const client = createTestClient(mockServer, { cacheMaxEntries: 2 });
+    const cache = client.assignmentCache;
+
+    cache.store('exp1', 'user1', null, { assignment_id: 'a1' });
+    cache.store('exp1', 'user2', null, { assignment_id: 'a2' });
+
+    // Touch user1 so user2 becomes the least recently used
+    assertEqual(cache.get('exp1', 'user1', null).assignment_id, 'a1');
+    cache.store('exp1', 'user3', null, { assignment_id: 'a3' });
+
+    assert(cache.get('exp1', 'user2', null) === null);
+    assertEqual(cache.get('exp1', 'user1', null).assignment_id, 'a1');
+    assertEqual(cache.get('exp1', 'user3', null).assignment_id, 'a3');
+
+    const stats = client.getCacheStats();
+    assertEqual(stats.size, 2);
+    assertEqual(stats.evictions, 1);
+    assertEqual(stats.hits, 3);
+    assertEqual(stats.misses, 1);
+
+    client.destroy();
+  });
+
+  // Test 30: Memory-bounded cache and expiration counters
+  await asyncTest('Assignment cache byte limit and expirations', async () => {
+    const store = new MemoryAssignmentStore({ maxBytes: 400 });
+    const assignment = { assignment_id: 'x', prompt_content: 'p'.repeat(50) };
+
+    store.set('k1', assignment, 1000);
+    const entryBytes = store.getStats().bytes;
+    assert(entryBytes > 100 && entryBytes < 400);
+
+    store.set('k2', assignment, 1000);
+    store.set('k3', assignment, 1000);
+    assert(store.getStats().bytes <= 400);
+    assert(store.getStats().evictions >= 1);
+    assertEqual(store.get('k3').assignment_id, 'x');
+
+    // Replacing a key does not double count its size
+    store.clear();
+    store.set('k1', assignment, 1000);
+    store.set('k1', assignment, 1000);
+    assertEqual(store.getStats().bytes, entryBytes);
+
+    store.set('short', assignment, 10);
+    await new Promise(resolve => setTimeout(resolve, 30));
+    assertEqual(store.get('short'), null);
+    store.set('k2', assignment, 10);
+    await new Promise(resolve => setTimeout(resolve, 30));
+    store.cleanup();
+    const stats = store.getStats();
+    assertEqual(stats.expirations, 2);
+    assertEqual(stats.size, 1);
+    assertEqual(stats.bytes, entryBytes);
+  });
+
+  // Test 31: Stale-while-revalidate
+  await asyncTest('Stale assignments are served while revalidating', async () => {
+    const client = createTestClient(mockServer, { cacheTtl: 20, staleWhileRevalidate: 5000 });
+
+    mockServer.setResponse('/api/v1/experiments/exp-swr/prompt', 'POST', {
+      success: true,
+      data: { assignment_id: 'swr-1' }
+    });
+    await client.getPromptForUser('exp-swr', 'user-swr');
+    await new Promise(resolve => setTimeout(resolve, 30));
+
+    mockServer.setResponse('/api/v1/experiments/exp-swr/prompt', 'POST', {
+      success: true,
+      data: { assignment_id: 'swr-2' }
+    });
+
+    // Concurrent stale reads share one cache lookup and trigger a single refresh
+    const [stale, alsoStale] = await Promise.all([
+      client.getPromptForUser('exp-swr', 'user-swr'),
+      client.getPromptForUser('exp-swr', 'user-swr')
+    ]);
+    assertEqual(stale.assignment_id, 'swr-1');
+    assertEqual(stale.is_stale, true);
+    assertEqual(alsoStale.is_stale, true);
+    await new Promise(resolve => setImmediate(resolve));
+    assertEqual(mockServer.getRequests().length, 2);
+
+    const fresh = await client.getPromptForUser('exp-swr', 'user-swr');
+    assertEqual(fresh.assignment_id, 'swr-2');
+    assert(!fresh.is_stale);
+    assertEqual(client.getCacheStats().staleHits, 1);
+
+    client.destroy();
+    mockServer.clear();
+  });
+
+  // Test 32: Serve stale on error
+  await asyncTest('Stale assignments are served when the platform is down', async () => {
+    const client = createTestClient(mockServer, { cacheTtl: 20, serveStaleOnError: 5000 });
+
+    mockServer.setResponse('/api/v1/experiments/exp-soe/prompt', 'POST', {
+      success: true,
+      data: { assignment_id: 'soe-1' }
+    });
+    await client.getPromptForUser('exp-soe', 'user-soe');
+    await new Promise(resolve => setTimeout(resolve, 30));
+
+    mockServer.setFailure('/api/v1/experiments/exp-soe/prompt', 'POST');
+    const stale = await client.getPromptForUser('exp-soe', 'user-soe');
+    assertEqual(stale.assignment_id, 'soe-1');
+    assertEqual(stale.is_stale, true);
+
+    // Outcomes are still attributed to the stale assignment
+    mockServer.setResponse('/api/v1/events', 'POST', { success: true, data: { id: 'event-1' } });
+    await client.trackSuccess({ experimentId: 'exp-soe', userId: 'user-soe' });
+    const eventRequest = mockServer.getRequests().find(r => r.path === '/api/v1/events');
+    assertEqual(eventRequest.data.assignment_id, 'soe-1');
+
+    // Non-transient errors are still thrown
+    mockServer.setResponse('/api/v1/experiments/exp-soe/prompt', 'POST', { error: 'Not found' }, 404);
+    await assertThrowsAsync(() => client.getPromptForUser('exp-soe', 'user-soe'), LaikaServiceError);
+
+    // Without a stale entry the error surfaces as before
+    mockServer.setFailure('/api/v1/experiments/exp-soe/prompt', 'POST');
+    await assertThrowsAsync(() => client.getPromptForUser('exp-soe', 'other-user'), NetworkError);
+
+    client.destroy();
+    mockServer.clear();
+  });
+
+  // Test 33: Fallback prompt registry
+  await asyncTest('Registered fallback prompts replace failed assignments', async () => {
+    const client = createTestClient(mockServer, {
+      fallbackPrompts: { 'exp-fallback': 'You are a helpful assistant.' }
+    });
+
+    mockServer.setFailure('/api/v1/experiments/exp-fallback/prompt', 'POST');
+    const assignment = await client.getPromptForUser('exp-fallback', 'user-fallback');
+    assertEqual(assignment.is_fallback, true);
+    assertEqual(assignment.prompt_content, 'You are a helpful assistant.');
+    assertEqual(assignment.assignment_id, null);
+    assertEqual(assignment.variant_name, 'fallback');
+    assertEqual(assignment.experiment_metadata.split_type, 'user');
+    assertEqual(assignment.experiment_metadata.identifier_used, 'user-fallback');
+
+    // Fallbacks are not cached
+    assert(client.assignmentCache.get('exp-fallback', 'user-fallback', null) === null);
+
+    // Service errors fall back too; experiments without a fallback still throw
+    client.setFallbackPrompt('exp-random', 'Random fallback');
+    mockServer.setResponse('/api/v1/experiments/exp-random/prompt', 'POST', { error: 'Boom' }, 500);
+    const random = await client.getRandomPrompt('exp-random');
+    assertEqual(random.prompt_content, 'Random fallback');
+    assertEqual(random.experiment_metadata.split_type, 'random');
+
+    client.removeFallbackPrompt('exp-random');
+    await assertThrowsAsync(() => client.getRandomPrompt('exp-random'), LaikaServiceError);
+    await assertThrowsAsync(() => client.getPromptForUser('exp-fallback', ''), ValidationError);
+    assertThrows(() => client.setFallbackPrompt('exp-x', 42), ValidationError);
+
+    // Default policy skips tracking instead of throwing
+    const result = await client.trackSuccess({ experimentId: 'exp-fallback', userId: 'user-fallback' });
+    assertEqual(result.skipped, true);
+    assert(!mockServer.getRequests().some(r => r.path === '/api/v1/events'));
+
+    client.destroy();
+    mockServer.clear();
+  });
+
+  // Test 34: Fallback tracking policies
+  await asyncTest('Fallback tracking policies', async () => {
+    const recording = createTestClient(mockServer, {
+      fallbackPrompts: { 'exp-fallback': 'Default prompt' },
+      fallbackTracking: 'record'
+    });
+    mockServer.setResponse('/api/v1/events', 'POST', { success: true, data: { id: 'event-1' } });
+    mockServer.setFailure('/api/v1/experiments/exp-fallback/prompt', 'POST');
+
+    await recording.getPromptForSession('exp-fallback', 'session-1');
+    await recording.getRandomPrompt('exp-fallback');
+    await recording.trackFailure({ experimentId: 'exp-fallback', sessionId: 'session-1', score: 2 });
+    await recording.trackSuccess({ experimentId: 'exp-fallback' });
+    const events = mockServer.getRequests().filter(r => r.path === '/api/v1/events');
+    assertEqual(events.length, 2);
+    assertEqual(events[0].data.is_fallback, true);
+    assertEqual(events[0].data.experiment_id, 'exp-fallback');
+    assertEqual(events[0].data.assignment_id, null);
+    assertEqual(events[0].data.score, 2);
+
+    const throwing = createTestClient(mockServer, {
+      fallbackPrompts: { 'exp-fallback': 'Default prompt' },
+      fallbackTracking: 'throw'
+    });
+    await throwing.getPromptForUser('exp-fallback', 'user-1');
+    await assertThrowsAsync(
+      () => throwing.trackSuccess({ experimentId: 'exp-fallback', userId: 'user-1' }),
+      AssignmentNotFoundError
+    );
+
+    // Identities that were never served the fallback keep the usual errors
+    const skipping = createTestClient(mockServer, { fallbackPrompts: { 'exp-fallback': 'Default prompt' } });
+    await skipping.getPromptForUser('exp-fallback', 'user-served');
+    assertEqual((await skipping.trackSuccess({ experimentId: 'exp-fallback', userId: 'user-served' })).skipped, true);
+    await assertThrowsAsync(
+      () => skipping.trackSuccess({ experimentId: 'exp-fallback', userId: 'never-assigned' }),
+      AssignmentNotFoundError
+    );
+    await assertThrowsAsync(() => skipping.trackSuccess({ experimentId: 'exp-fallback' }), ValidationError);
+    await assertThrowsAsync(
+      () => recording.trackSuccess({ experimentId: 'exp-fallback', sessionId: 'session-never-assigned' }),
+      AssignmentNotFoundError
+    );
+    assertEqual(mockServer.getRequests().filter(r => r.path === '/api/v1/events').length, 2);
+    skipping.destroy();
+
+    assertThrows(() => new LaikaTestClient('test-key', { fallbackTracking: 'ignore' }), ValidationError);
+
+    recording.destroy();
+    throwing.destroy();
+    mockServer.clear();
+  });
+
+  // Test 35: Local evaluation
+  await asyncTest('Local evaluation assigns deterministically and reports exposures', async () => {
+    const config = {
+      success: true,
+      data: {
+        experiment_id: 'exp-local',
+        experiment_name: 'Local experiment',
+        status: 'active',
+        variants: [
+          { variant_id: 'v-control', variant_name: 'control', is_control: true, weight: 50, prompt_content: 'Control prompt' },
+          { variant_id: 'v-b', variant_name: 'variant_b', is_control: false, weight: 50, prompt_content: 'Variant B prompt' },
+          { variant_id: 'v-off', variant_name: 'disabled', is_control: false, weight: 0, prompt_content: 'Never served' }
+        ]
+      }
+    };
+
+    const createLocalClient = () => {
+      const client = createTestClient(mockServer, { localEvaluation: { exposureFlushInterval: 60000 } });
+      mockServer.setResponse('/api/v1/experiments/exp-local/config', 'GET', config);
+      mockServer.setResponse('/api/v1/exposures/batch', 'POST', { success: true, data: [] });
+      return client;
+    };
+
+    const client = createLocalClient();
+    const [first, concurrent] = await Promise.all([
+      client.getPromptForUser('exp-local', 'user-1'),
+      client.getPromptForUser('exp-local', 'user-2')
+    ]);
+    assert(['v-control', 'v-b'].includes(first.variant_id));
+    assert(['Control prompt', 'Variant B prompt'].includes(first.prompt_content));
+    assertEqual(first.experiment_metadata.split_type, 'user');
+    assertEqual(first.experiment_metadata.identifier_used, 'user-1');
+    assert(/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/.test(first.assignment_id));
+    assert(concurrent.assignment_id !== first.assignment_id);
+
+    // One config download, no assignment requests
+    let requests = mockServer.getRequests();
+    assertEqual(requests.filter(r => r.path.endsWith('/config')).length, 1);
+    assert(!requests.some(r => r.path.endsWith('/prompt')));
+
+    // Another process assigns the same user identically
+    const other = createLocalClient();
+    const again = await other.getPromptForUser('exp-local', 'user-1');
+    assertEqual(again.variant_id, first.variant_id);
+    assertEqual(again.assignment_id, first.assignment_id);
+
+    // Traffic roughly follows the weights and skips zero-weight variants
+    const counts = {};
+    for (let i = 0; i < 400; i++) {
+      const assignment = await client.getPromptForSession('exp-local', `session-${i}`);
+      counts[assignment.variant_id] = (counts[assignment.variant_id] || 0) + 1;
+    }
+    assert(!counts['v-off']);
+    assert(counts['v-control'] > 150 && counts['v-b'] > 150);
+
+    // Exposures are reported in batches
+    await client.flush();
+    const exposures = mockServer.getRequests()
+      .filter(r => r.path === '/api/v1/exposures/batch')
+      .reduce((all, r) => all.concat(r.data.exposures), []);
+    assertEqual(exposures.length, 402);
+    const exposure = exposures.find(e => e.assignment_id === first.assignment_id);
+    assertEqual(exposure.user_id, 'user-1');
+    assertEqual(exposure.variant_id, first.variant_id);
+
+    client.destroy();
+    other.destroy();
+    mockServer.clear();
+  });
+
+  // Test 36: Local evaluation of inactive experiments
+  await asyncTest('Local evaluation of paused experiments falls back', async () => {
+    const client = createTestClient(mockServer, {
+      localEvaluation: true,
+      fallbackPrompts: { 'exp-paused': 'Fallback prompt' }
+    });
+    mockServer.setResponse('/api/v1/experiments/exp-paused/config', 'GET', {
+      success: true,
+      data: { experiment_id: 'exp-paused', status: 'paused', variants: [] }
+    });
+    mockServer.setResponse('/api/v1/experiments/exp-other/config', 'GET', {
+      success: true,
+      data: { experiment_id: 'exp-other', status: 'paused', variants: [] }
+    });
+
+    const assignment = await client.getRandomPrompt('exp-paused');
+    assertEqual(assignment.is_fallback, true);
+    await assertThrowsAsync(() => client.getPromptForUser('exp-other', 'user-1'), LaikaServiceError);
+    await assertThrowsAsync(() => client.loadExperimentConfigs('exp-other'), ValidationError);
+
+    await client.destroy();
+    mockServer.clear();
+  });
+
+  // Test 37: Experiment config polling
+  await asyncTest('Config polling uses ETags and invalidates outdated assignments', async () => {
+    const changes = [];
+    const client = createTestClient(mockServer, {
+      configPolling: { interval: 60000 },
+      onConfigChange: change => changes.push(change)
+    });
+
+    const configFor = (versionId, status = 'active') => ({
+      success: true,
+      data: {
+        experiment_id: 'exp-poll',
+        status,
+        variants: [{ variant_id: 'v1', variant_name: 'control', prompt_metadata: { prompt_version_id: versionId } }]
+      }
+    });
+    const assignmentFor = (assignmentId, versionId) => ({
+      success: true,
+      data: { assignment_id: assignmentId, variant_id: 'v1', prompt_metadata: { prompt_version_id: versionId } }
+    });
+    const promptRequests = () => mockServer.getRequests().filter(r => r.path.endsWith('/prompt')).length;
+    const configRequests = () => mockServer.getRequests().filter(r => r.path.endsWith('/config'));
+
+    mockServer.setResponse('/api/v1/experiments/exp-poll/prompt', 'POST', assignmentFor('poll-1', 'pv1'));
+    await client.getPromptForUser('exp-poll', 'user-poll');
+
+    // First poll downloads the config unconditionally
+    mockServer.setResponse('/api/v1/experiments/exp-poll/config', 'GET', configFor('pv1'), 200, { etag: '"e1"' });
+    assertEqual((await client.pollExperimentConfigs()).length, 0);
+    assert(!configRequests()[0].headers['If-None-Match']);
+
+    // Unchanged configs are revalidated with If-None-Match
+    mockServer.setResponse('/api/v1/experiments/exp-poll/config', 'GET', {}, 304);
+    assertEqual((await client.pollExperimentConfigs()).length, 0);
+    assertEqual(configRequests()[1].headers['If-None-Match'], '"e1"');
+    await client.getPromptForUser('exp-poll', 'user-poll');
+    assertEqual(promptRequests(), 1);
+
+    // A new prompt version invalidates the cached assignment
+    mockServer.setResponse('/api/v1/experiments/exp-poll/config', 'GET', configFor('pv2'), 200, { etag: '"e2"' });
+    mockServer.setResponse('/api/v1/experiments/exp-poll/prompt', 'POST', assignmentFor('poll-2', 'pv2'));
+    const polled = await client.pollExperimentConfigs();
+    assertEqual(polled.length, 1);
+    assertEqual(changes.length, 1);
+    assertEqual(changes[0].experimentId, 'exp-poll');
+    assertEqual(changes[0].current.variants[0].prompt_metadata.prompt_version_id, 'pv2');
+
+    // Tracking still resolves the assignment that was served
+    mockServer.setResponse('/api/v1/events', 'POST', { success: true, data: { id: 'event-1' } });
+    await client.trackSuccess({ experimentId: 'exp-poll', userId: 'user-poll' });
+    const eventRequest = mockServer.getRequests().find(r => r.path === '/api/v1/events');
+    assertEqual(eventRequest.data.assignment_id, 'poll-1');
+
+    const refreshed = await client.getPromptForUser('exp-poll', 'user-poll');
+    assertEqual(refreshed.assignment_id, 'poll-2');
+    assertEqual(promptRequests(), 2);
+
+    // Pausing the experiment invalidates its assignments too
+    mockServer.setResponse('/api/v1/experiments/exp-poll/config', 'GET', configFor('pv2', 'paused'), 200, { etag: '"e3"' });
+    await client.pollExperimentConfigs();
+    assertEqual(changes.length, 2);
+    await client.getPromptForUser('exp-poll', 'user-poll');
+    assertEqual(promptRequests(), 3);
+
+    client.destroy();
+    mockServer.clear();
+  });
+
+  // Test 38: Config polling failures
+  await asyncTest('Config polling failures are reported', async () => {
+    const reported = [];
+    const client = createTestClient(mockServer, { onError: error => reported.push(error) });
+
+    mockServer.setResponse('/api/v1/experiments/exp-poll-a/prompt', 'POST', { success: true, data: { assignment_id: 'a' } });
+    mockServer.setResponse('/api/v1/experiments/exp-poll-b/prompt', 'POST', { success: true, data: { assignment_id: 'b' } });
+    await client.getPromptForUser('exp-poll-a', 'user-1');
+    await client.getRandomPrompt('exp-poll-b');
+
+    mockServer.setFailure('/api/v1/experiments/exp-poll-a/config', 'GET');
+    mockServer.setResponse('/api/v1/experiments/exp-poll-b/config', 'GET', { success: true, data: { variants: [] } });
+    const changes = await client.pollExperimentConfigs();
+    assertEqual(changes.length, 0);
+    assertEqual(reported.length, 1);
+    assert(reported[0] instanceof NetworkError);
+
+    client.destroy();
+    mockServer.clear();
+  });
+
+  // Test 39: Single-flight assignment requests
+  await asyncTest('Concurrent assignment requests share one request', async () => {
+    const client = createTestClient(mockServer);
+
+    let issued = 0;
+    client._makeRequest = async function(method, path, data) {
+      issued++;
+      await new Promise(resolve => setTimeout(resolve, 10));
+      return { success: true, data: { assignment_id: `flight-${issued}`, user_id: data.user_id, session_id: data.session_id } };
+    };
+
+    const results = await Promise.all([
+      ...Array.from({ length: 10 }, () => client.getPromptForUser('exp-flight', 'user-flight')),
+      client.getPromptForUser('exp-flight', 'other-user'),
+      client.getPromptForSession('exp-flight', 'user-flight')
+    ]);
+
+    // One request per cache key
+    assertEqual(issued, 3);
+    const sameUser = results.slice(0, 10);
+    assert(sameUser.every(r => r.assignment_id === sameUser[0].assignment_id));
+    assertEqual(results[10].user_id, 'other-user');
+    assertEqual(results[11].session_id, 'user-flight');
+    assertEqual(client.assignmentCache.get('exp-flight', 'user-flight', null).assignment_id, sameUser[0].assignment_id);
+    assertEqual(client._inflightAssignments.size, 0);
+
+    // Failures are shared too, and the next call retries
+    client._makeRequest = async function() {
+      issued++;
+      await new Promise(resolve => setTimeout(resolve, 10));
+      throw new NetworkError('Mock network failure');
+    };
+    issued = 0;
+    const failures = await Promise.all([1, 2, 3].map(() => {
+      return client.getPromptForUser('exp-flight', 'new-user').catch(error => error);
+    }));
+    assertEqual(issued, 1);
+    assert(failures.every(error => error instanceof NetworkError));
+
+    await client.getPromptForUser('exp-flight', 'new-user').catch(() => {});
+    assertEqual(issued, 2);
+
+    client.destroy();
+  });
+
+  // Test 40: Async iteration over experiment events
+  await asyncTest('Iterate experiment events across pages', async () => {
+    const client = createTestClient(mockServer);
+    const allEvents = Array.from({ length: 230 }, (_, i) => ({ id: `event-${i}`, outcome: 'success' }));
+
+    const pageRequests = [];
+    let rateLimited = false;
+    client._makeRequest = async function(method, path) {
+      const query = new URLSearchParams(path.split('?')[1]);
+      const page = Number(query.get('page'));
+      const limit = Number(query.get('limit'));
+      pageRequests.push({ page, outcome: query.get('outcome') });
+
+      // The first request for page 2 is rate limited
+      if (page === 2 && !rateLimited) {
+        rateLimited = true;
+        const error = new LaikaServiceError('Too many requests', 429, {});
+        error.retryAfter = 5;
+        throw error;
+      }
+
+      return {
+        success: true,
+        data: allEvents.slice((page - 1) * limit, page * limit),
+        meta: { total: allEvents.length, page, limit }
+      };
+    };
+
+    const seen = [];
+    for await (const event of client.iterateExperimentEvents('exp-iter', { outcome: 'success' }, { prefetch: 2 })) {
+      seen.push(event.id);
+    }
+
+    assertEqual(seen.length, 230);
+    assertEqual(seen[0], 'event-0');
+    assertEqual(seen[229], 'event-229');
+    assertEqual(new Set(seen).size, 230);
+    assert(pageRequests.every(r => r.outcome === 'success'));
+    assertEqual(pageRequests.filter(r => r.page === 2).length, 2);
+    assert(!pageRequests.some(r => r.page > 3), 'Should not request pages past meta.total');
+
+    // Breaking out stops paging
+    pageRequests.length = 0;
+    let count = 0;
+    for await (const event of client.iterateExperimentEvents('exp-iter', { limit: 10 }, { prefetch: 0 })) {
+      assert(event.id);
+      if (++count === 15) {
+        break;
+      }
+    }
+    assertEqual(pageRequests.length, 2);
+
+    client.destroy();
+  });
+
+  // Test 41: Event iteration edge cases
+  await asyncTest('Iterate experiment events edge cases', async () => {
+    const client = createTestClient(mockServer);
+
+    assertThrows(() => client.iterateExperimentEvents(''), ValidationError);
+    assertThrows(() => client.iterateExperimentEvents('exp-iter', {}, { prefetch: -1 }), ValidationError);
+    assertThrows(() => client.iterateExperimentEvents('exp-iter', {}, { maxRateLimitRetries: '5' }), ValidationError);
+    assertThrows(() => client.iterateExperimentEvents('exp-iter', {}, { maxRateLimitRetries: NaN }), ValidationError);
+    assertThrows(() => client.iterateExperimentEvents('exp-iter', {}, { maxRateLimitRetries: -1 }), ValidationError);
+
+    // Stops on a short page even without meta.total
+    let requests = 0;
+    client._makeRequest = async function() {
+      requests++;
+      return { success: true, data: [{ id: 'only' }] };
+    };
+    const events = [];
+    for await (const event of client.iterateExperimentEvents('exp-iter')) {
+      events.push(event);
+    }
+    assertEqual(events.length, 1);
+    assertEqual(requests, 1);
+
+    // Full pages without meta keep paging until a short or empty page
+    const sixEvents = Array.from({ length: 6 }, (_, i) => ({ id: `event-${i}` }));
+    const pagesWithoutMeta = [];
+    client._makeRequest = async function(method, path) {
+      const query = new URLSearchParams(path.split('?')[1]);
+      const page = Number(query.get('page'));
+      pagesWithoutMeta.push(page);
+      return { success: true, data: sixEvents.slice((page - 1) * 2, page * 2) };
+    };
+    const withoutMeta = [];
+    for await (const event of client.iterateExperimentEvents('exp-iter', { limit: 2 }, { prefetch: 0 })) {
+      withoutMeta.push(event.id);
+    }
+    assertEqual(withoutMeta.join(','), 'event-0,event-1,event-2,event-3,event-4,event-5');
+    assertEqual(pagesWithoutMeta.join(','), '1,2,3,4');
+
+    // A Retry-After beyond retry.maxDelay is given up on, as for other requests
+    const capped = createTestClient(mockServer, { retry: { maxDelay: 20 } });
+    let throttledRequests = 0;
+    capped._makeRequest = async function() {
+      throttledRequests++;
+      const error = new LaikaServiceError('Too many requests', 429, {});
+      error.retryAfter = 60000;
+      throw error;
+    };
+    const startedAt = Date.now();
+    await assertThrowsAsync(async () => {
+      for await (const event of capped.iterateExperimentEvents('exp-iter')) {
+        assert(event);
+      }
+    }, LaikaServiceError);
+    assertEqual(throttledRequests, 1);
+    assert(Date.now() - startedAt < 1000, 'Retry-After past retry.maxDelay should not be waited out');
+    capped.destroy();
+
+    // Rate-limited pages are retried by the iterator only, not by the retry policy as well
+    const layered = new LaikaTestClient('test-api-key', {
+      retry: { maxAttempts: 3, initialDelay: 1, jitter: false }
+    });
+    let sent = 0;
+    layered._sendRequest = async function() {
+      sent++;
+      throw new LaikaServiceError('Too many requests', 429, {});
+    };
+    await assertThrowsAsync(async () => {
+      for await (const event of layered.iterateExperimentEvents('exp-iter', {}, { maxRateLimitRetries: 1 })) {
+        assert(event);
+      }
+    }, LaikaServiceError);
+    assertEqual(sent, 2);
+    layered.destroy();
+
+    // Errors surface to the consumer
+    client._makeRequest = async function() {
+      throw new NetworkError('Mock network failure');
+    };
+    await assertThrowsAsync(async () => {
+      for await (const event of client.iterateExperimentEvents('exp-iter')) {
+        assert(event);
+      }
+    }, NetworkError);
+
+    // Invalid filters are rejected on the first page
+    await assertThrowsAsync(async () => {
+      for await (const event of client.iterateExperimentEvents('exp-iter', { limit: 1000 })) {
+        assert(event);
+      }
+    }, ValidationError);
+
+    client.destroy();
+  });
+
+  // Test 42: Streaming export to NDJSON and CSV
+  await asyncTest('Export experiment events as NDJSON and CSV', async () => {
+    const { PassThrough } = require('stream');
+    const client = createTestClient(mockServer);
+    const allEvents = Array.from({ length: 25 }, (_, i) => ({
+      id: `event-${i}`,
+      experiment_id: 'exp-export',
+      variant_id: 'variant-a',
+      assignment_id: null,
+      user_id: `user-${i}`,
+      session_id: null,
+      outcome: 'success',
+      score: i,
+      feedback: i === 0 ? 'said "great", then left\nearly' : null,
+      metadata: i < 10 ? { model: 'gpt', usage: { tokens: i } } : { model: 'claude', region: 'eu' },
+      created_at: '2024-01-15T00:00:00Z'
+    }));
+    client._makeRequest = async function(method, path) {
+      const query = new URLSearchParams(path.split('?')[1]);
+      const page = Number(query.get('page'));
+      const limit = Number(query.get('limit'));
+      return {
+        success: true,
+        data: allEvents.slice((page - 1) * limit, page * limit),
+        meta: { total: allEvents.length, page, limit }
+      };
+    };
+
+    const output = new PassThrough();
+    const chunks = [];
+    output.on('data', chunk => chunks.push(chunk));
+    const result = await client.exportExperimentEvents('exp-export', { limit: 10 }, { output });
+    const lines = Buffer.concat(chunks).toString().trim().split('\n');
+    assertEqual(result.events, 25);
+    assertEqual(result.resumed, false);
+    assertEqual(lines.length, 25);
+    assertEqual(JSON.parse(lines[24]).id, 'event-24');
+
+    // CSV columns come from the first page's metadata; later keys go to metadata_other
+    const exportDir = fs.mkdtempSync(path.join(os.tmpdir(), 'laika-export-'));
+    const csvFile = path.join(exportDir, 'events.csv');
+    await client.exportExperimentEvents('exp-export', { limit: 10 }, { format: 'csv', file: csvFile });
+    const csv = fs.readFileSync(csvFile, 'utf8');
+    const rows = csv.split('\r\n');
+    assertEqual(rows[0], 'id,experiment_id,variant_id,assignment_id,user_id,session_id,outcome,score,feedback,latency_ms,prompt_tokens,completion_tokens,model,metrics,created_at,metadata.model,metadata.usage.tokens,metadata_other');
+    assert(rows[1].startsWith('event-0,exp-export,variant-a,,user-0,,success,0,"said ""great"", then left\nearly"'));
+    assert(csv.includes('event-3,exp-export,variant-a,,user-3,,success,3,,,,,,,2024-01-15T00:00:00Z,gpt,3,\r\n'));
+    assert(csv.includes('event-12,exp-export,variant-a,,user-12,,success,12,,,,,,,2024-01-15T00:00:00Z,claude,,"{""region"":""eu""}"'));
+
+    // Explicit columns
+    await client.exportExperimentEvents('exp-export', { limit: 10 }, { format: 'csv', file: csvFile, metadataColumns: ['region'] });
+    assert(fs.readFileSync(csvFile, 'utf8').startsWith('id,experiment_id,variant_id,assignment_id,user_id,session_id,outcome,score,feedback,latency_ms,prompt_tokens,completion_tokens,model,metrics,created_at,metadata.region,metadata_other\r\n'));
+
+    await assertThrowsAsync(() => client.exportExperimentEvents('exp-export', {}, { format: 'xml', output }), ValidationError);
+    await assertThrowsAsync(() => client.exportExperimentEvents('exp-export', {}, {}), ValidationError);
+    await assertThrowsAsync(() => client.exportExperimentEvents('exp-export', {}, { output, file: csvFile }), ValidationError);
+    await assertThrowsAsync(() => client.exportExperimentEvents('exp-export', {}, { output, maxRateLimitRetries: '5' }), ValidationError);
+
+    // maxRateLimitRetries is passed through to the page requests
+    let throttled = 0;
+    client._makeRequest = async function() {
+      throttled++;
+      throw new LaikaServiceError('Too many requests', 429, {});
+    };
+    await assertThrowsAsync(() => client.exportExperimentEvents('exp-export', {}, { output, maxRateLimitRetries: 0 }), LaikaServiceError);
+    assertEqual(throttled, 1);
+
+    fs.unlinkSync(csvFile);
+    fs.rmdirSync(exportDir);
+    client.destroy();
+  });
+
+  // Test 43: Resuming an interrupted export from its checkpoint
+  await asyncTest('Interrupted export resumes from the last checkpoint', async () => {
+    const client = createTestClient(mockServer);
+    const allEvents = Array.from({ length: 30 }, (_, i) => ({ id: `event-${i}`, outcome: 'success' }));
+    const requestedPages = [];
+    let failPage = 3;
+    client._makeRequest = async function(method, path) {
+      const query = new URLSearchParams(path.split('?')[1]);
+      const page = Number(query.get('page'));
+      const limit = Number(query.get('limit'));
+      requestedPages.push(page);
+      if (page === failPage) {
+        throw new NetworkError('Mock network failure');
+      }
+      return {
+        success: true,
+        data: allEvents.slice((page - 1) * limit, page * limit),
+        meta: { total: allEvents.length, page, limit }
+      };
+    };
+
+    const exportDir = fs.mkdtempSync(path.join(os.tmpdir(), 'laika-export-'));
+    const file = path.join(exportDir, 'events.ndjson');
+    const checkpoint = path.join(exportDir, 'events.checkpoint.json');
+    const options = { file, checkpoint, prefetch: 0 };
+
+    await assertThrowsAsync(() => client.exportExperimentEvents('exp-export', { limit: 10 }, options), NetworkError);
+    assertEqual(JSON.parse(fs.readFileSync(checkpoint, 'utf8')).page, 2);
+
+    // Bytes past the checkpoint (a partially written page) are discarded
+    fs.appendFileSync(file, '{"id":"partial');
+
+    // A different export cannot reuse the checkpoint
+    await assertThrowsAsync(() => client.exportExperimentEvents('other-exp', { limit: 10 }, options), ValidationError);
+
+    failPage = null;
+    requestedPages.length = 0;
+    const result = await client.exportExperimentEvents('exp-export', { limit: 10 }, options);
+    assertEqual(result.resumed, true);
+    assertEqual(result.events, 30);
+    assertEqual(requestedPages[0], 3);
+
+    const ids = fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line).id);
+    assertEqual(ids.length, 30);
+    assertEqual(new Set(ids).size, 30);
+    assert(!fs.existsSync(checkpoint), 'Checkpoint should be removed after a complete export');
+
+    fs.unlinkSync(file);
+    fs.rmdirSync(exportDir);
+    client.destroy();
+  });
+
+  // Test 44: Per-variant statistics
+  test('Analyze experiment events per variant', () => {
+    const assertClose = (actual, expected, tolerance = 1e-3) => {
+      assert(Math.abs(actual - expected) < tolerance, `Expected ${expected}, got ${actual}`);
+    };
+
+    const events = [];
+    for (let i = 0; i < 200; i++) {
+      events.push({ variant_id: 'control', outcome: i < 100 ? 'success' : 'failure', score: null, feedback: null });
+      events.push({ variant_id: 'treatment', outcome: i < 130 ? 'success' : 'failure', score: null, feedback: i % 2 ? 'positive' : 'negative' });
+    }
+    [1, 2, 3, 4, 5].forEach(score => events.push({ variant_id: 'control', outcome: 'success', score }));
+    [2, 4, 6, 8, 10].forEach(score => events.push({ variant_id: 'treatment', outcome: 'success', score }));
+
+    const stats = analyzeExperimentEvents(events, { controlVariantId: 'control' });
+    assertEqual(stats.totalEvents, 410);
+    assertEqual(stats.variants[0].variantId, 'control');
+    assertEqual(stats.variants[0].comparison, null);
+
+    const treatment = stats.variants[1];
+    assertEqual(treatment.sampleSize, 205);
+    assertClose(treatment.outcomes.successRate, 135 / 205);
+    assertEqual(treatment.score.count, 5);
+    assertEqual(treatment.score.median, 6);
+    assertClose(treatment.score.mean, 6);
+    assertEqual(treatment.feedback.positive, 100);
+    assertEqual(treatment.feedback.negative, 100);
+
+    // Wilson interval contains the observed rate
+    assert(treatment.outcomes.interval[0] < treatment.outcomes.successRate);
+    assert(treatment.outcomes.interval[1] > treatment.outcomes.successRate);
+
+    // Two-proportion z-test: 135/205 vs 105/205
+    assertClose(treatment.comparison.successRate.zScore, 3.0073, 1e-3);
+    assertClose(treatment.comparison.successRate.pValue, 0.00264, 1e-4);
+
+    // Welch t-test: [2, 4, 6, 8, 10] vs [1, 2, 3, 4, 5]
+    assertClose(treatment.comparison.score.tStatistic, 1.8974);
+    assertClose(treatment.comparison.score.degreesOfFreedom, 5.8824);
+    assertClose(treatment.comparison.score.pValue, 0.1075);
+
+    // Without a known control there are no comparisons
+    const uncontrolled = analyzeExperimentEvents(events);
+    assert(uncontrolled.variants.every(variant => variant.comparison === null));
+
+    // Too little data for a test
+    const sparse = analyzeExperimentEvents([
+      { variant_id: 'control', outcome: 'success', score: 5 },
+      { variant_id: 'treatment', outcome: 'success', score: 7 }
+    ], { controlVariantId: 'control' });
+    assertEqual(sparse.variants[1].comparison.score, null);
+    assertEqual(sparse.variants[1].comparison.successRate.zScore, null);
+
+    assertThrows(() => analyzeExperimentEvents(events, { confidenceLevel: 95 }), ValidationError);
+    assertThrows(() => analyzeExperimentEvents(null), ValidationError);
+  });
+
+  // Test 45: Statistics pulled from the events API
+  await asyncTest('Get experiment stats from the events API', async () => {
+    const client = createTestClient(mockServer);
+    const allEvents = Array.from({ length: 150 }, (_, i) => ({
+      id: `event-${i}`,
+      variant_id: i % 2 ? 'variant-b' : 'variant-a',
+      outcome: i % 3 ? 'success' : 'failure',
+      score: i % 10
+    }));
+
+    const requests = [];
+    client._makeRequest = async function(method, path) {
+      requests.push(path);
+      if (path.endsWith('/config')) {
+        return {
+          statusCode: 200,
+          headers: {},
+          body: {
+            success: true,
+            data: {
+              experiment_id: 'exp-stats',
+              variants: [
+                { variant_id: 'variant-b', is_control: true },
+                { variant_id: 'variant-a', is_control: false }
+              ]
+            }
+          }
+        };
+      }
+      const query = new URLSearchParams(path.split('?')[1]);
+      const page = Number(query.get('page'));
+      const limit = Number(query.get('limit'));
+      return {
+        success: true,
+        data: allEvents.slice((page - 1) * limit, page * limit),
+        meta: { total: allEvents.length, page, limit }
+      };
+    };
+
+    const stats = await client.getExperimentStats('exp-stats');
+    assertEqual(stats.experimentId, 'exp-stats');
+    assertEqual(stats.controlVariantId, 'variant-b');
+    assertEqual(stats.totalEvents, 150);
+    assertEqual(stats.variants[0].variantId, 'variant-b');
+    assert(stats.variants[1].comparison.successRate);
+
+    // An explicit control skips the config request
+    requests.length = 0;
+    const explicit = await client.getExperimentStats('exp-stats', {}, { controlVariantId: 'variant-a', confidenceLevel: 0.9 });
+    assertEqual(explicit.variants[0].variantId, 'variant-a');
+    assertEqual(explicit.confidenceLevel, 0.9);
+    assert(!requests.some(path => path.endsWith('/config')));
+
+    client.destroy();
+  });
+
+  // Test 46: Bayesian analysis
+  await asyncTest('Bayesian analysis is reproducible and consistent', async () => {
+    const events = [];
+    for (let i = 0; i < 205; i++) {
+      events.push({ variant_id: 'control', outcome: i < 105 ? 'success' : 'failure', score: i % 7 });
+      events.push({ variant_id: 'treatment', outcome: i < 135 ? 'success' : 'failure', score: i % 8 });
+      events.push({ variant_id: 'scoreless', outcome: i < 100 ? 'success' : 'failure', score: null });
+    }
+
+    const result = analyzeExperimentEventsBayesian(events, { controlVariantId: 'control', samples: 5000, seed: 7 });
+    assertEqual(result.variants[0].variantId, 'control');
+    assertEqual(result.variants[0].successRate.probabilityToBeatControl, null);
+    assertEqual(result.variants.find(variant => variant.variantId === 'scoreless').score, null);
+
+    const treatment = result.variants.find(variant => variant.variantId === 'treatment');
+    assert(Math.abs(treatment.successRate.posteriorMean - 136 / 207) < 0.005);
+    assert(treatment.successRate.credibleInterval[0] < treatment.successRate.posteriorMean);
+    assert(treatment.successRate.credibleInterval[1] > treatment.successRate.posteriorMean);
+
+    // Close to 1 - one-sided z-test p-value (0.0013)
+    assert(treatment.successRate.probabilityToBeatControl > 0.99);
+    assert(treatment.successRate.expectedLoss < result.variants[0].successRate.expectedLoss);
+    const totalBest = result.variants.reduce((sum, variant) => sum + variant.successRate.probabilityToBeBest, 0);
+    assert(Math.abs(totalBest - 1) < 1e-9);
+
+    // Same seed, same answer
+    const again = analyzeExperimentEventsBayesian(events, { controlVariantId: 'control', samples: 5000, seed: 7 });
+    assertEqual(JSON.stringify(again), JSON.stringify(result));
+    const reseeded = analyzeExperimentEventsBayesian(events, { controlVariantId: 'control', samples: 5000, seed: 8 });
+    assert(JSON.stringify(reseeded) !== JSON.stringify(result));
+
+    assertThrows(() => analyzeExperimentEventsBayesian(events, { samples: 10 }), ValidationError);
+    assertThrows(() => analyzeExperimentEventsBayesian(events, { seed: 1.5 }), ValidationError);
+    assertThrows(() => analyzeExperimentEventsBayesian(events, { prior: { alpha: 0 } }), ValidationError);
+
+    // Through the events API
+    const client = createTestClient(mockServer);
+    client._makeRequest = async function(method, path) {
+      const page = Number(new URLSearchParams(path.split('?')[1]).get('page'));
+      return { success: true, data: page === 1 ? events : [], meta: { total: events.length, page, limit: 100 } };
+    };
+    const remote = await client.getBayesianExperimentStats('exp-bayes', { limit: 500 }, { controlVariantId: 'control', samples: 5000, seed: 7 });
+    assertEqual(remote.experimentId, 'exp-bayes');
+    assertEqual(JSON.stringify(remote.variants), JSON.stringify(result.variants));
+    client.destroy();
+  });
+
+  // Test 47: Sample ratio mismatch test
+  test('Chi-square sample ratio mismatch test', () => {
+    const balanced = checkSampleRatio({ a: 5000, b: 5200 }, { a: 1, b: 1 });
+    assertEqual(balanced.degreesOfFreedom, 1);
+    assert(Math.abs(balanced.chiSquare - 3.9216) < 1e-3);
+    assert(Math.abs(balanced.pValue - 0.04767) < 1e-4);
+    assertEqual(balanced.mismatch, false);
+
+    const skewed = checkSampleRatio({ a: 821, b: 1000, c: 900 }, { a: 1, b: 1, c: 1 });
+    assert(Math.abs(skewed.pValue - 0.000140) < 1e-5);
+    assertEqual(skewed.mismatch, true);
+    assertEqual(skewed.variants.find(variant => variant.variantId === 'a').expected, 907);
+
+    // Unequal weights
+    const weighted = checkSampleRatio({ a: 900, b: 100 }, { a: 90, b: 10 });
+    assertEqual(weighted.chiSquare, 0);
+    assertEqual(weighted.mismatch, false);
+
+    // A variant that should receive no traffic
+    const unexpected = checkSampleRatio({ a: 10, b: 10, c: 1 }, { a: 1, b: 1, c: 0 });
+    assertEqual(unexpected.mismatch, true);
+    assertEqual(unexpected.unexpectedVariants[0], 'c');
+
+    // Small samples are reported but not flagged
+    const small = checkSampleRatio({ a: 2, b: 30 }, { a: 1, b: 1 });
+    assertEqual(small.sufficientData, false);
+    assertEqual(small.mismatch, false);
+    assert(small.pValue < 0.001);
+
+    assertThrows(() => checkSampleRatio({ a: 1 }, { a: 0 }), ValidationError);
+    assertThrows(() => checkSampleRatio({ a: 1 }, { a: 1 }, { threshold: 5 }), ValidationError);
+  });
+
+  // Test 48: Sample ratio checks from the client
+  await asyncTest('Client tracks assignment counts and checks sample ratio', async () => {
+    const client = createTestClient(mockServer);
+    let call = 0;
+    client._makeRequest = async function(method, path) {
+      if (path.endsWith('/config')) {
+        return {
+          statusCode: 200,
+          headers: {},
+          body: {
+            success: true,
+            data: {
+              experiment_id: 'exp-srm',
+              variants: [
+                { variant_id: 'variant-a', weight: 50 },
+                { variant_id: 'variant-b', weight: 50 }
+              ]
+            }
+          }
+        };
+      }
+      if (path.includes('/events')) {
+        const page = Number(new URLSearchParams(path.split('?')[1]).get('page'));
+        // Two events per assignment for variant-a, one for variant-b
+        const data = page > 1 ? [] : Array.from({ length: 300 }, (_, i) => ({
+          id: `event-${i}`,
+          assignment_id: `assignment-${i < 200 ? Math.floor(i / 2) : i}`,
+          variant_id: i < 200 ? 'variant-a' : 'variant-b'
+        }));
+        return { success: true, data, meta: { total: 300, page, limit: 500 } };
+      }
+      call++;
+      return {
+        success: true,
+        data: {
+          prompt_content: 'Prompt',
+          variant_name: 'Variant',
+          variant_id: call % 10 === 0 ? 'variant-b' : 'variant-a',
+          is_control: false,
+          assignment_id: `assignment-${call}`
+        }
+      };
+    };
+
+    for (let i = 0; i < 200; i++) {
+      await client.getPromptForUser('exp-srm', `user-${i}`);
+    }
+    // Cache hits are not counted
+    await client.getPromptForUser('exp-srm', 'user-0');
+    await client.getRandomPrompt('exp-srm');
+
+    // Neither are re-fetches of the same user after the cached assignment expires
+    const callsBeforeExpiry = call;
+    const realNow = Date.now;
+    Date.now = () => realNow() + 60 * 1000;
+    try {
+      await client.getPromptForUser('exp-srm', 'user-5');
+    } finally {
+      Date.now = realNow;
+    }
+    assertEqual(call, callsBeforeExpiry + 1);
+
+    const counts = client.getAssignmentCounts('exp-srm');
+    assertEqual(counts['variant-a'] + counts['variant-b'], 201);
+    assertEqual(counts['variant-b'], 20);
+    assertEqual(Object.keys(client.getAssignmentCounts('unknown')).length, 0);
+
+    const local = await client.checkSampleRatioMismatch('exp-srm');
+    assertEqual(local.source, 'local');
+    assertEqual(local.mismatch, true);
+
+    try {
+      await client.checkSampleRatioMismatch('exp-srm', { throwOnMismatch: true });
+      throw new Error('Expected SampleRatioMismatchError');
+    } catch (error) {
+      assert(error instanceof SampleRatioMismatchError, `Unexpected ${error.name}`);
+      assertEqual(error.result.experimentId, 'exp-srm');
+      assert(error.message.includes('exp-srm'));
+    }
+
+    // From events, counting distinct assignments: 100 vs 100
+    const fromEvents = await client.checkSampleRatioMismatch('exp-srm', { source: 'events', filters: { limit: 500 } });
+    assertEqual(fromEvents.sampleSize, 200);
+    assertEqual(fromEvents.mismatch, false);
+
+    // Explicit weights skip the config
+    const weighted = await client.checkSampleRatioMismatch('exp-srm', { weights: { 'variant-a': 90, 'variant-b': 10 } });
+    assertEqual(weighted.mismatch, false);
+
+    await assertThrowsAsync(() => client.checkSampleRatioMismatch('exp-srm', { source: 'warehouse' }), ValidationError);
+
+    // Counts can be reset
+    client.resetAssignmentCounts('exp-srm');
+    assertEqual(Object.keys(client.getAssignmentCounts('exp-srm')).length, 0);
+    await client.getRandomPrompt('exp-srm');
+    client.resetAssignmentCounts();
+    assertEqual(Object.keys(client.getAssignmentCounts('exp-srm')).length, 0);
+    client.destroy();
+
+    // Remembered identities are bounded like the cache, least recently seen dropped first
+    const bounded = createTestClient(mockServer, { cacheMaxEntries: 2 });
+    const countUser = userId => bounded._countAssignment('exp-cap', { variant_id: 'v' }, userId, null);
+    ['user-a', 'user-b', 'user-c'].forEach(countUser);
+    assertEqual(bounded._assignmentCounts.get('exp-cap').identities.size, 2);
+    countUser('user-c');
+    assertEqual(bounded.getAssignmentCounts('exp-cap').v, 3);
+    countUser('user-a'); // Forgotten, so counted again
+    assertEqual(bounded.getAssignmentCounts('exp-cap').v, 4);
+    assertEqual(bounded._assignmentCounts.get('exp-cap').identities.size, 2);
+    bounded.destroy();
+  });
+
+  // Test 49: Prompt template rendering
+  test('Render prompt templates with variables', () => {
+    const assignment = {
+      prompt_content: 'Hello {{ user.name | there }}! {{#context}}Context: {{context}}\n{{/context}}' +
+        '{{^context}}No context.\n{{/context}}Task: {{task}}. Use \\{{braces}} literally.'
+    };
+
+    assertEqual(
+      renderPrompt(assignment, { user: { name: 'Ada' }, context: 'billing', task: 'summarize' }),
+      'Hello Ada! Context: billing\nTask: summarize. Use {{braces}} literally.'
+    );
+    assertEqual(
+      renderPrompt(assignment, { task: 'summarize' }),
+      'Hello there! No context.\nTask: summarize. Use {{braces}} literally.'
+    );
+
+    // Missing variables render empty unless strict
+    assertEqual(renderPrompt('Task: {{task}}'), 'Task: ');
+    try {
+      renderPrompt('{{greeting}}, {{name}} ({{role|user}})', { greeting: 'Hi' }, { strict: true });
+      throw new Error('Expected ValidationError');
+    } catch (error) {
+      assert(error instanceof ValidationError);
+      assertEqual(error.message, 'Missing prompt variables: name');
+    }
+
+    // Values are escaped, literal template text is not
+    const escapeXml = value => value.replace(/&/g, '&amp;').replace(/</g, '&lt;');
+    assertEqual(renderPrompt('<doc>{{body}}</doc>', { body: 'a < b & c' }, { escape: escapeXml }), '<doc>a &lt; b &amp; c</doc>');
+    assertEqual(renderPrompt('{{items}} {{count}}', { items: ['a', 'b'], count: 0 }), '["a","b"] 0');
+    assertEqual(renderPrompt('{{#flag}}on{{/flag}}{{^flag}}off{{/flag}}', { flag: false }), 'off');
+
+    const variables = getTemplateVariables(assignment);
+    assertEqual(JSON.stringify(variables.required), JSON.stringify(['task']));
+    assertEqual(JSON.stringify(variables.optional), JSON.stringify(['context', 'user.name']));
+
+    assertThrows(() => getTemplateVariables('{{#open}}never closed'), ValidationError);
+    assertThrows(() => renderPrompt('{{#a}}x{{/b}}'), ValidationError);
+    assertThrows(() => renderPrompt({ prompt_content: null }), ValidationError);
+    assertThrows(() => renderPrompt('x', null), ValidationError);
+  });
+
+  // Test 50: Template variables across an experiment's variants
+  await asyncTest('List template variables per variant', async () => {
+    const client = createTestClient(mockServer);
+    client._makeRequest = async function() {
+      return {
+        statusCode: 200,
+        headers: {},
+        body: {
+          success: true,
+          data: {
+            experiment_id: 'exp-template',
+            variants: [
+              { variant_id: 'variant-a', prompt_content: 'Help {{name}} with {{task}}' },
+              { variant_id: 'variant-b', prompt_content: 'Task: {{task}}{{#tone}} in a {{tone}} tone{{/tone}}' }
+            ]
+          }
+        }
+      };
+    };
+
+    const variables = await client.getExperimentTemplateVariables('exp-template');
+    assertEqual(JSON.stringify(variables.required), JSON.stringify(['name', 'task']));
+    assertEqual(JSON.stringify(variables.optional), JSON.stringify(['tone']));
+    assertEqual(JSON.stringify(variables.variants['variant-a'].required), JSON.stringify(['name', 'task']));
+    assertEqual(JSON.stringify(variables.variants['variant-b'].required), JSON.stringify(['task']));
+
+    await assertThrowsAsync(() => client.getExperimentTemplateVariables(''), ValidationError);
+    client.destroy();
+  });
+
+  // Test 51: Structured chat prompts and provider adapters
+  test('Chat prompts and provider request adapters', () => {
+    const assignment = {
+      prompt_content: JSON.stringify({
+        messages: [
+          { role: 'system', content: 'You are a {{tone|friendly}} support agent.' },
+          { role: 'system', content: 'Never share internal notes.' },
+          { role: 'user', content: 'Question: {{question}}' }
+        ],
+        parameters: { model: 'model-b', temperature: 0.2, max_tokens: 256, stop: '###' }
+      })
+    };
+
+    const parsed = parsePrompt(assignment);
+    assertEqual(parsed.messages.length, 3);
+    assertEqual(parsed.parameters.temperature, 0.2);
+
+    // Plain text prompts become one system message
+    const plain = parsePrompt({ prompt_content: 'You are helpful.' });
+    assertEqual(JSON.stringify(plain), JSON.stringify({ messages: [{ role: 'system', content: 'You are helpful.' }], parameters: {} }));
+    assertEqual(parsePrompt('{not json').messages[0].content, '{not json');
+
+    const rendered = renderChatPrompt(assignment, { question: 'Where is my "order"?' });
+    assertEqual(rendered.messages[0].content, 'You are a friendly support agent.');
+    assertEqual(rendered.messages[2].content, 'Question: Where is my "order"?');
+    assertThrows(() => renderChatPrompt(assignment, {}, { strict: true }), ValidationError);
+    assertThrows(() => renderPrompt(assignment, { question: 'x' }), ValidationError);
+    assertEqual(JSON.stringify(getTemplateVariables(assignment)), JSON.stringify({ required: ['question'], optional: ['tone'] }));
+
+    const history = [{ role: 'assistant', content: 'Hi! How can I help?' }];
+    const openai = toOpenAIChatRequest(assignment, {
+      variables: { question: 'Refund?' },
+      messages: history,
+      parameters: { temperature: 0, user: 'user-1' }
+    });
+    assertEqual(openai.model, 'model-b');
+    assertEqual(openai.temperature, 0);
+    assertEqual(openai.max_tokens, 256);
+    assertEqual(openai.stop, '###');
+    assertEqual(openai.user, 'user-1');
+    assertEqual(openai.messages.length, 4);
+    assertEqual(openai.messages[3].role, 'assistant');
+
+    const anthropic = toAnthropicMessagesRequest(assignment, { variables: { question: 'Refund?' } });
+    assertEqual(anthropic.system, 'You are a friendly support agent.\n\nNever share internal notes.');
+    assertEqual(anthropic.messages.length, 1);
+    assertEqual(anthropic.messages[0].content, 'Question: Refund?');
+    assertEqual(JSON.stringify(anthropic.stop_sequences), JSON.stringify(['###']));
+    assertEqual(anthropic.stop, undefined);
+    assertEqual(anthropic.max_tokens, 256);
+
+    // Anthropic requires max_tokens
+    assertThrows(() => toAnthropicMessagesRequest({ prompt_content: 'Be brief.' }), ValidationError);
+    const overridden = toAnthropicMessagesRequest({ prompt_content: 'Be brief.' }, {
+      parameters: { model: 'model-a', max_tokens: 100 },
+      messages: [{ role: 'user', content: 'Hello' }]
+    });
+    assertEqual(overridden.system, 'Be brief.');
+    assertEqual(overridden.model, 'model-a');
+
+    // OpenAI-only parameters are not passed to Anthropic
+    const mixedParameters = toAnthropicMessagesRequest({ prompt_content: 'Be brief.' }, {
+      parameters: {
+        model: 'model-a',
+        max_tokens: 100,
+        temperature: 0.5,
+        top_p: 0.9,
+        top_k: 40,
+        metadata: { user_id: 'user-1' },
+        frequency_penalty: 0.5,
+        presence_penalty: 0.5,
+        n: 2,
+        response_format: { type: 'json_object' },
+        seed: 7,
+        logit_bias: { 50256: -100 },
+        user: 'user-1'
+      },
+      messages: [{ role: 'user', content: 'Hello' }]
+    });
+    assertEqual(JSON.stringify(Object.keys(mixedParameters).sort()), JSON.stringify(
+      ['max_tokens', 'messages', 'metadata', 'model', 'system', 'temperature', 'top_k', 'top_p']
+    ));
+
+    assertThrows(() => parsePrompt({ prompt_content: '{"messages": [{"role": "tool", "content": "x"}]}' }), ValidationError);
+    assertThrows(() => parsePrompt({ prompt_content: '{"messages": [{"role": "user", "content": 5}]}' }), ValidationError);
+    assertThrows(() => toOpenAIChatRequest(assignment, { messages: [{ role: 'user' }] }), ValidationError);
+  });
+
+  // Test 52: withExperiment wrapper
+  await asyncTest('withExperiment assigns, runs and tracks outcome', async () => {
+    mockServer.clear();
+    mockServer.setResponse('/api/v1/experiments/exp-wrap/prompt', 'POST', {
+      success: true,
+      data: {
+        prompt_content: 'Prompt',
+        variant_name: 'Variant A',
+        variant_id: 'variant-a',
+        is_control: true,
+        assignment_id: 'assignment-wrap'
+      }
+    });
+    mockServer.setResponse('/api/v1/events', 'POST', { success: true, data: { id: 'event-wrap' } });
+
+    const reported = [];
+    const client = createTestClient(mockServer, { onError: error => reported.push(error) });
+    const trackedEvents = () => mockServer.getRequests().filter(r => r.path === '/api/v1/events').map(r => r.data);
+
+    const result = await client.withExperiment(
+      { experimentId: 'exp-wrap', userId: 'user-1', scorer: output => output.length },
+      async (assignment) => {
+        await new Promise(resolve => setTimeout(resolve, 20));
+        return `${assignment.prompt_content}!`;
+      }
+    );
+    assertEqual(result, 'Prompt!');
+    let events = trackedEvents();
+    assertEqual(events.length, 1);
+    assertEqual(events[0].assignment_id, 'assignment-wrap');
+    assertEqual(events[0].outcome, 'success');
+    assertEqual(events[0].score, 7);
+    assert(events[0].latency_ms >= 15, `Expected latency, got ${events[0].latency_ms}`);
+
+    // Rejections track a failure and are re-thrown
+    const failure = new Error('LLM timeout');
+    try {
+      await client.withExperiment({ experimentId: 'exp-wrap', sessionId: 'session-1' }, async () => {
+        throw failure;
+      });
+      throw new Error('Expected rejection');
+    } catch (error) {
+      assertEqual(error, failure);
+    }
+    events = trackedEvents();
+    assertEqual(events[1].outcome, 'failure');
+    assertEqual(events[1].score, undefined);
+    assert(typeof events[1].latency_ms === 'number');
+
+    // A failing scorer still tracks the success, without a score
+    await client.withExperiment(
+      { experimentId: 'exp-wrap', userId: 'user-1', scorer: () => { throw new Error('Scorer failed'); } },
+      async () => 'ok'
+    );
+    events = trackedEvents();
+    assertEqual(events[2].outcome, 'success');
+    assertEqual(events[2].score, undefined);
+    assertEqual(reported[0].message, 'Scorer failed');
+
+    // Out-of-range and non-numeric scores are dropped and reported
+    await client.withExperiment({ experimentId: 'exp-wrap', userId: 'user-1', scorer: () => 93 }, async () => 'ok');
+    await client.withExperiment({ experimentId: 'exp-wrap', userId: 'user-1', scorer: () => 'high' }, async () => 'ok');
+    events = trackedEvents();
+    assertEqual(events.length, 5);
+    assertEqual(events[3].outcome, 'success');
+    assertEqual(events[3].score, undefined);
+    assertEqual(events[4].score, undefined);
+    assert(reported[1] instanceof ValidationError);
+    assert(reported[2] instanceof ValidationError);
+
+    // A failing scorer does not prevent usage tracking
+    await client.withExperiment({
+      experimentId: 'exp-wrap',
+      userId: 'user-1',
+      scorer: () => { throw new Error('Scorer failed again'); },
+      usage: () => ({ promptTokens: 12, model: 'model-x' })
+    }, async () => 'ok');
+    events = trackedEvents();
+    assertEqual(events[5].prompt_tokens, 12);
+    assertEqual(events[5].model, 'model-x');
+    assertEqual(reported[3].message, 'Scorer failed again');
+
+    // Tracking failures do not affect the result
+    mockServer.setFailure('/api/v1/events', 'POST');
+    assertEqual(await client.withExperiment({ experimentId: 'exp-wrap', userId: 'user-1' }, async () => 42), 42);
+    assert(reported[4] instanceof NetworkError);
+
+    await assertThrowsAsync(() => client.withExperiment({ userId: 'user-1' }, async () => {}), ValidationError);
+    await assertThrowsAsync(() => client.withExperiment({ experimentId: 'exp-wrap' }), ValidationError);
+    await assertThrowsAsync(() => client.trackSuccess({ experimentId: 'exp-wrap', assignmentId: 'a', latencyMs: -1 }), ValidationError);
+
+    client.destroy();
+    mockServer.clear();
+  });
+
+  // Test 53: Metadata, latency and token usage on events
+  await asyncTest('Track metadata, latency and token usage', async () => {
+    mockServer.clear();
+    mockServer.setResponse('/api/v1/events', 'POST', { success: true, data: { id: 'event-usage' } });
+    mockServer.setResponse('/api/v1/experiments/exp-usage/prompt', 'POST', {
+      success: true,
+      data: { prompt_content: 'Prompt', variant_name: 'A', variant_id: 'variant-a', is_control: true, assignment_id: 'assignment-usage' }
+    });
+    const client = createTestClient(mockServer, { maxMetadataBytes: 200 });
+    const trackedEvents = () => mockServer.getRequests().filter(r => r.path === '/api/v1/events').map(r => r.data);
+
+    const metadata = { route: '/chat', flags: ['beta'] };
+    await client.trackSuccess({
+      experimentId: 'exp-usage',
+      assignmentId: 'assignment-usage',
+      latencyMs: 812.5,
+      promptTokens: 420,
+      completionTokens: 96,
+      model: 'model-b',
+      metadata
+    });
+    metadata.route = 'changed';
+    const [event] = trackedEvents();
+    assertEqual(event.latency_ms, 812.5);
+    assertEqual(event.prompt_tokens, 420);
+    assertEqual(event.completion_tokens, 96);
+    assertEqual(event.model, 'model-b');
+    assertEqual(event.metadata.route, '/chat');
+    assertEqual(event.metadata.flags[0], 'beta');
+
+    const base = { experimentId: 'exp-usage', assignmentId: 'assignment-usage' };
+    await assertThrowsAsync(() => client.trackSuccess({ ...base, promptTokens: 1.5 }), ValidationError);
+    await assertThrowsAsync(() => client.trackSuccess({ ...base, completionTokens: -1 }), ValidationError);
+    await assertThrowsAsync(() => client.trackSuccess({ ...base, model: '' }), ValidationError);
+    await assertThrowsAsync(() => client.trackSuccess({ ...base, metadata: ['a'] }), ValidationError);
+    await assertThrowsAsync(() => client.trackSuccess({ ...base, metadata: { text: 'x'.repeat(300) } }), ValidationError);
+    const circular = {};
+    circular.self = circular;
+    await assertThrowsAsync(() => client.trackSuccess({ ...base, metadata: circular }), ValidationError);
+    assertEqual(trackedEvents().length, 1);
+
+    // withExperiment takes usage from the result
+    await client.withExperiment({
+      experimentId: 'exp-usage',
+      userId: 'user-1',
+      metadata: { route: '/chat' },
+      usage: result => ({ promptTokens: result.usage.input, completionTokens: result.usage.output, model: result.model, metadata: { finish: 'stop' } })
+    }, async () => ({ usage: { input: 10, output: 5 }, model: 'model-a' }));
+    const wrapped = trackedEvents()[1];
+    assertEqual(wrapped.prompt_tokens, 10);
+    assertEqual(wrapped.completion_tokens, 5);
+    assertEqual(wrapped.model, 'model-a');
+    assertEqual(JSON.stringify(wrapped.metadata), JSON.stringify({ route: '/chat', finish: 'stop' }));
+
+    // Latency and tokens are summarized per variant
+    const stats = analyzeExperimentEvents([
+      { variant_id: 'a', outcome: 'success', latency_ms: 100, prompt_tokens: 10, completion_tokens: 4 },
+      { variant_id: 'a', outcome: 'success', latency_ms: 120, prompt_tokens: 20, completion_tokens: 6 },
+      { variant_id: 'b', outcome: 'success', latency_ms: 300 },
+      { variant_id: 'b', outcome: 'success', latency_ms: 340 }
+    ], { controlVariantId: 'a' });
+    assertEqual(stats.variants[0].latency.mean, 110);
+    assertEqual(stats.variants[0].tokens.meanPromptTokens, 15);
+    assertEqual(stats.variants[1].tokens.count, 0);
+    assertEqual(stats.variants[1].comparison.latency.difference, 210);
+
+    client.destroy();
+    mockServer.clear();
+  });
+
+  // Test 54: Named metrics
+  await asyncTest('Track, filter and analyze named metrics', async () => {
+    mockServer.clear();
+    mockServer.setResponse('/api/v1/events', 'POST', { success: true, data: { id: 'event-metrics' } });
+    mockServer.setResponse('/api/v1/experiments/exp-metrics/events', 'GET', { success: true, data: [], meta: { total: 0, page: 1, limit: 50 } });
+
+    assertThrows(() => new LaikaTestClient('key', { metrics: { 'bad name': {} } }), ValidationError);
+    assertThrows(() => new LaikaTestClient('key', { metrics: { relevance: { min: 1, max: 0 } } }), ValidationError);
+    assertThrows(() => new LaikaTestClient('key', { metrics: { relevance: { higherIsBetter: 'no' } } }), ValidationError);
+
+    const client = createTestClient(mockServer, {
+      metrics: {
+        relevance: { min: 0, max: 1 },
+        toxicity: { min: 0, max: 1, higherIsBetter: false },
+        completion_time_ms: { min: 0 }
+      }
+    });
+    const base = { experimentId: 'exp-metrics', assignmentId: 'assignment-metrics' };
+
+    await client.trackSuccess({ ...base, metrics: { relevance: 0.9, toxicity: 0.01, completion_time_ms: 5400 } });
+    const event = mockServer.getRequests().find(r => r.path === '/api/v1/events').data;
+    assertEqual(JSON.stringify(event.metrics), JSON.stringify({ relevance: 0.9, toxicity: 0.01, completion_time_ms: 5400 }));
+
+    await assertThrowsAsync(() => client.trackSuccess({ ...base, metrics: { relevance: 1.5 } }), ValidationError);
+    await assertThrowsAsync(() => client.trackSuccess({ ...base, metrics: { relevancy: 0.5 } }), ValidationError);
+    await assertThrowsAsync(() => client.trackSuccess({ ...base, metrics: { completion_time_ms: -1 } }), ValidationError);
+    await assertThrowsAsync(() => client.trackSuccess({ ...base, metrics: [1] }), ValidationError);
+
+    // Filters
+    await client.getExperimentEvents('exp-metrics', { metrics: { relevance: { min: 0.5 }, toxicity: { max: 0.1 } } });
+    const query = new URLSearchParams(mockServer.getRequests().filter(r => r.method === 'GET').pop().path.split('?')[1]);
+    assertEqual(query.get('min_metric.relevance'), '0.5');
+    assertEqual(query.get('max_metric.toxicity'), '0.1');
+    assertEqual(query.get('max_metric.relevance'), null);
+    await assertThrowsAsync(() => client.getExperimentEvents('exp-metrics', { metrics: { relevance: { min: 1, max: 0 } } }), ValidationError);
+    await assertThrowsAsync(() => client.getExperimentEvents('exp-metrics', { metrics: { relevance: { min: 'high' } } }), ValidationError);
+
+    // Analysis
+    const events = [];
+    for (let i = 0; i < 50; i++) {
+      events.push({ variant_id: 'a', outcome: 'success', metrics: { relevance: 0.5 + (i % 5) / 100, toxicity: 0.2 + (i % 3) / 100 } });
+      events.push({ variant_id: 'b', outcome: 'success', metrics: { relevance: 0.7 + (i % 5) / 100, toxicity: 0.05 + (i % 3) / 100 } });
+    }
+    const stats = analyzeExperimentEvents(events, { controlVariantId: 'a' });
+    assert(Math.abs(stats.variants[0].metrics.relevance.mean - 0.52) < 1e-9);
+    assert(Math.abs(stats.variants[1].comparison.metrics.relevance.difference - 0.2) < 1e-9);
+    assert(stats.variants[1].comparison.metrics.toxicity.pValue < 0.001);
+
+    // Lower toxicity is better
+    const bayes = analyzeExperimentEventsBayesian(events, {
+      controlVariantId: 'a',
+      samples: 2000,
+      metrics: { toxicity: { higherIsBetter: false } }
+    });
+    assert(bayes.variants[1].metrics.relevance.probabilityToBeatControl > 0.99);
+    assert(bayes.variants[1].metrics.toxicity.probabilityToBeatControl > 0.99);
+    assert(bayes.variants[1].metrics.toxicity.posteriorMean < bayes.variants[0].metrics.toxicity.posteriorMean);
+    assert(bayes.variants[1].metrics.toxicity.expectedLoss < 1e-6);
+
+    client.destroy();
+    mockServer.clear();
+  });
+
+  // Test 55: Framework middleware
+  await asyncTest('Express, Koa and Fastify integrations', async () => {
+    mockServer.clear();
+    const assignmentFor = id => ({
+      success: true,
+      data: { prompt_content: `Prompt ${id}`, variant_name: 'A', variant_id: 'variant-a', is_control: true, assignment_id: `assignment-${id}` }
+    });
+    mockServer.setResponse('/api/v1/experiments/exp-welcome/prompt', 'POST', assignmentFor('welcome'));
+    mockServer.setResponse('/api/v1/experiments/exp-tone/prompt', 'POST', assignmentFor('tone'));
+    mockServer.setResponse('/api/v1/experiments/prompts/batch', 'POST', {
+      success: true,
+      data: { assignments: { 'exp-welcome': assignmentFor('welcome').data, 'exp-tone': assignmentFor('tone').data } }
+    });
+    mockServer.setResponse('/api/v1/events', 'POST', { success: true, data: { id: 'event-mw' } });
+
+    const reported = [];
+    const client = createTestClient(mockServer, { onError: error => reported.push(error) });
+    const prompts = () => mockServer.getRequests().filter(r => /\/prompts?(\/batch)?$/.test(r.path)).map(r => r.data);
+    const events = () => mockServer.getRequests().filter(r => r.path === '/api/v1/events').map(r => r.data);
+
+    assertThrows(() => client.expressMiddleware({}), ValidationError);
+    assertThrows(() => client.expressMiddleware({ experiments: ['exp-welcome'], identify: 'user' }), ValidationError);
+
+    // Express: user from req.user
+    const middleware = client.expressMiddleware({ experiments: ['exp-welcome', 'exp-tone'] });
+    const req = { user: { id: 42 }, headers: {} };
+    await new Promise((resolve, reject) => middleware(req, {}, error => (error ? reject(error) : resolve())));
+    assertEqual(req.promptAssignments['exp-welcome'].prompt_content, 'Prompt welcome');
+    assertEqual(req.promptAssignments['exp-tone'].prompt_content, 'Prompt tone');
+    assertEqual(prompts()[0].user_id, '42');
+    assertEqual(prompts().length, 1); // Both experiments in one batch request
+
+    await req.trackSuccess({ experimentId: 'exp-tone', score: 9 });
+    assertEqual(events()[0].assignment_id, 'assignment-tone');
+    assertEqual(events()[0].score, 9);
+    await assertThrowsAsync(() => req.trackFailure(), ValidationError); // Ambiguous with two experiments
+    await assertThrowsAsync(() => req.trackFailure({ experimentId: 'exp-other' }), ValidationError);
+
+    // Express: session from the Cookie header
+    mockServer.requests = [];
+    const sessionReq = { headers: { cookie: 'theme=dark; sid=abc%20123' } };
+    const sessionMiddleware = client.expressMiddleware({ experiments: ['exp-welcome'], sessionCookie: 'sid' });
+    await new Promise(resolve => sessionMiddleware(sessionReq, {}, resolve));
+    assertEqual(prompts()[0].split_type, 'session');
+    assertEqual(prompts()[0].session_id, 'abc 123');
+    await sessionReq.trackFeedback('positive');
+    assertEqual(events()[0].user_feedback, 'positive');
+
+    // Assignment failures without a fallback leave null and are reported
+    mockServer.setFailure('/api/v1/experiments/exp-tone/prompt', 'POST');
+    mockServer.setFailure('/api/v1/experiments/prompts/batch', 'POST');
+    const failingReq = { user: { id: 'user-2' }, headers: {} };
+    await new Promise(resolve => middleware(failingReq, {}, resolve));
+    assertEqual(failingReq.promptAssignments['exp-tone'], null);
+    assert(reported[0] instanceof NetworkError);
+    assertEqual((await failingReq.trackSuccess({ experimentId: 'exp-tone' })).skipped, true);
+
+    const strict = client.expressMiddleware({ experiments: ['exp-tone'], failOnError: true });
+    const passed = await new Promise(resolve => strict({ user: { id: 'user-3' }, headers: {} }, {}, resolve));
+    assert(passed instanceof NetworkError);
+
+    // Koa: identity from a custom resolver, properties on ctx.state
+    mockServer.requests = [];
+    const koa = client.koaMiddleware({ experiments: ['exp-welcome'], identify: ctx => ({ userId: ctx.state.account }) });
+    const ctx = { state: { account: 'acct-9' } };
+    let downstream = false;
+    await koa(ctx, async () => {
+      downstream = true;
+    });
+    assert(downstream);
+    assertEqual(ctx.state.promptAssignments['exp-welcome'].assignment_id, 'assignment-welcome');
+    assertEqual(prompts()[0].user_id, 'acct-9');
+    await ctx.state.trackFailure();
+    assertEqual(events()[0].outcome, 'failure');
+
+    // Koa cookies API
+    const koaSession = client.koaMiddleware({ experiments: ['exp-welcome'] });
+    const cookieCtx = { state: {}, cookies: { get: name => (name === 'sessionId' ? 'koa-session' : undefined) } };
+    await koaSession(cookieCtx, async () => {});
+    assertEqual(prompts()[1].session_id, 'koa-session');
+
+    // Fastify plugin
+    const decorated = [];
+    const hooks = {};
+    const fastify = {
+      decorateRequest: name => decorated.push(name),
+      addHook: (name, hook) => {
+        hooks[name] = hook;
+      }
+    };
+    const plugin = client.fastifyPlugin({ experiments: ['exp-welcome'] });
+    assertEqual(plugin[Symbol.for('skip-override')], true);
+    await new Promise(resolve => plugin(fastify, {}, resolve));
+    assert(decorated.includes('promptAssignments') && decorated.includes('trackOutcome'));
+    const request = { user: { id: 'fastify-user' }, headers: {} };
+    await hooks.preHandler(request);
+    assertEqual(request.promptAssignments['exp-welcome'].prompt_content, 'Prompt welcome');
+
+    client.destroy();
+    mockServer.clear();
+  });
+
+  // Test 56: Implicit identity context
+  await asyncTest('runWithContext supplies identity to getPrompt and tracking', async () => {
+    mockServer.clear();
+    mockServer.setResponse('/api/v1/experiments/exp-ctx/prompt', 'POST', {
+      success: true,
+      data: { prompt_content: 'Hi', variant_name: 'A', variant_id: 'var-a', is_control: true, assignment_id: 'assignment-ctx', experiment_metadata: { experiment_id: 'exp-ctx', split_type: 'user' } }
+    });
+    mockServer.setResponse('/api/v1/experiments/exp-ctx-2/prompt', 'POST', {
+      success: true,
+      data: { prompt_content: 'Hey', variant_name: 'B', variant_id: 'var-b', is_control: false, assignment_id: 'assignment-ctx-2', experiment_metadata: { experiment_id: 'exp-ctx-2', split_type: 'user' } }
+    });
+    mockServer.setResponse('/api/v1/events', 'POST', { success: true, data: { id: 'event-ctx' } });
+
+    const client = createTestClient(mockServer);
+    const trackedEvents = () => mockServer.getRequests().filter(r => r.path === '/api/v1/events').map(r => r.data);
+
+    assertEqual(client.getContext(), null);
+    await assertThrowsAsync(() => client.getPrompt('exp-ctx'), ValidationError);
+    assertThrows(() => client.runWithContext({}, () => {}), ValidationError);
+    assertThrows(() => client.runWithContext({ userId: 'user-1' }), ValidationError);
+
+    // Deep in the call tree, across timers
+    const callModel = async () => {
+      await new Promise(resolve => setTimeout(resolve, 5));
+      return client.getPrompt('exp-ctx');
+    };
+    const recordResult = async () => {
+      await new Promise(resolve => setImmediate(resolve));
+      return client.trackSuccess({ score: 9 });
+    };
+    const result = await client.runWithContext({ userId: 'user-ctx' }, async () => {
+      const assignment = await callModel();
+      await recordResult();
+      return assignment.variant_name;
+    });
+    assertEqual(result, 'A');
+    const promptRequest = mockServer.getRequests().find(r => r.path === '/api/v1/experiments/exp-ctx/prompt');
+    assertEqual(promptRequest.data.user_id, 'user-ctx');
+    assertEqual(trackedEvents()[0].assignment_id, 'assignment-ctx');
+    assertEqual(trackedEvents()[0].score, 9);
+    assertEqual(client.getContext(), null);
+
+    // Several experiments need experimentId; other identities stay explicit
+    await client.runWithContext({ userId: 'user-ctx' }, async () => {
+      await client.getPrompt('exp-ctx');
+      await client.getPromptForUser('exp-ctx-2', 'user-ctx');
+      await client.getPromptForUser('exp-ctx-2', 'someone-else');
+      assertEqual(JSON.stringify(client.getContext()), JSON.stringify({
+        userId: 'user-ctx', sessionId: null, experimentIds: ['exp-ctx', 'exp-ctx-2']
+      }));
+      await assertThrowsAsync(() => client.trackSuccess(), ValidationError);
+      await client.trackFailure({ experimentId: 'exp-ctx-2' });
+    });
+    assertEqual(trackedEvents()[1].assignment_id, 'assignment-ctx-2');
+    assertEqual(trackedEvents()[1].outcome, 'failure');
+
+    // Tracking by identity when the assignment was made before the context
+    await client.getPromptForSession('exp-ctx', 'session-ctx');
+    await client.runWithContext({ sessionId: 'session-ctx' }, () => client.trackSuccess({ experimentId: 'exp-ctx' }));
+    assertEqual(trackedEvents()[2].assignment_id, 'assignment-ctx');
+    await client.runWithContext({ sessionId: 'session-none' }, () =>
+      assertThrowsAsync(() => client.trackSuccess({ experimentId: 'exp-ctx' }), AssignmentNotFoundError));
+
+    // Concurrent contexts stay isolated
+    const identities = await Promise.all(['user-x', 'user-y', 'user-z'].map(userId =>
+      client.runWithContext({ userId }, async () => {
+        await new Promise(resolve => setTimeout(resolve, Math.random() * 10));
+        await client.getPrompt('exp-ctx');
+        return client.getContext().userId;
+      })
+    ));
+    assertEqual(identities.join(','), 'user-x,user-y,user-z');
+
+    // withExperiment picks up the identity
+    mockServer.clear();
+    mockServer.setResponse('/api/v1/experiments/exp-ctx/prompt', 'POST', {
+      success: true,
+      data: { prompt_content: 'Hi', variant_name: 'A', variant_id: 'var-a', is_control: true, assignment_id: 'assignment-ctx-w', experiment_metadata: { experiment_id: 'exp-ctx', split_type: 'user' } }
+    });
+    mockServer.setResponse('/api/v1/events', 'POST', { success: true, data: { id: 'event-ctx' } });
+    await client.runWithContext({ userId: 'user-w' }, () =>
+      client.withExperiment({ experimentId: 'exp-ctx' }, async (assignment) => assignment.prompt_content));
+    assertEqual(mockServer.getRequests()[0].data.user_id, 'user-w');
+    assertEqual(trackedEvents()[0].assignment_id, 'assignment-ctx-w');
+
+    client.destroy();
+    mockServer.clear();
+  });
+
+  // Test 57: Multi-experiment assignment
+  await asyncTest('getPromptsForUser fetches cache misses in one batch request', async () => {
+    mockServer.clear();
+    const assignmentFor = id => ({ prompt_content: `Prompt ${id}`, variant_name: 'A', variant_id: 'variant-a', is_control: true, assignment_id: `assignment-${id}` });
+    mockServer.setResponse('/api/v1/experiments/exp-b1/prompt', 'POST', { success: true, data: assignmentFor('b1') });
+    mockServer.setResponse('/api/v1/experiments/prompts/batch', 'POST', {
+      success: true,
+      data: {
+        assignments: { 'exp-b2': assignmentFor('b2'), 'exp-b3': assignmentFor('b3') },
+        errors: { 'exp-b4': { message: 'Experiment is paused', status_code: 409 } }
+      }
+    });
+    mockServer.setResponse('/api/v1/events', 'POST', { success: true, data: { id: 'event-batch' } });
+
+    const reported = [];
+    const client = createTestClient(mockServer, {
+      onError: error => reported.push(error),
+      fallbackPrompts: { 'exp-b5': 'Fallback b5' }
+    });
+    const batchRequests = () => mockServer.getRequests().filter(r => r.path === '/api/v1/experiments/prompts/batch');
+
+    await assertThrowsAsync(() => client.getPromptsForUser([], 'user-b'), ValidationError);
+    await assertThrowsAsync(() => client.getPromptsForUser(['exp-b1', ''], 'user-b'), ValidationError);
+    await assertThrowsAsync(() => client.getPromptsForUser(['exp-b1'], null), ValidationError);
+    await assertThrowsAsync(() => client.getPromptsForSession('exp-b1', 'session-b'), ValidationError);
+
+    // exp-b1 is cached; the rest share one request
+    await client.getPromptForUser('exp-b1', 'user-b');
+    const { assignments: prompts, errors } = await client.getPromptsForUser(['exp-b1', 'exp-b2', 'exp-b3', 'exp-b4', 'exp-b5', 'exp-b2'], 'user-b');
+    assertEqual(batchRequests().length, 1);
+    const batch = batchRequests()[0].data;
+    assertEqual(batch.experiment_ids.join(','), 'exp-b2,exp-b3,exp-b4,exp-b5');
+    assertEqual(batch.split_type, 'user');
+    assertEqual(batch.user_id, 'user-b');
+
+    assertEqual(Object.keys(prompts).join(','), 'exp-b1,exp-b2,exp-b3,exp-b4,exp-b5');
+    assertEqual(prompts['exp-b1'].assignment_id, 'assignment-b1');
+    assertEqual(prompts['exp-b3'].prompt_content, 'Prompt b3');
+    assertEqual(prompts['exp-b4'], null);
+    assertEqual(prompts['exp-b5'].is_fallback, true); // Missing from the response, served from the fallback
+    assertEqual(Object.keys(errors).join(','), 'exp-b4');
+    assert(errors['exp-b4'] instanceof LaikaServiceError);
+    assertEqual(errors['exp-b4'].statusCode, 409);
+    assert(errors['exp-b4'].message.includes('exp-b4'));
+    assertEqual(reported.length, 0); // Returned to the caller rather than reported
+
+    // Batched assignments are cached and trackable
+    await client.trackSuccess({ experimentId: 'exp-b2', userId: 'user-b' });
+    const event = mockServer.getRequests().find(r => r.path === '/api/v1/events').data;
+    assertEqual(event.assignment_id, 'assignment-b2');
+    await client.getPromptsForUser(['exp-b2', 'exp-b3'], 'user-b');
+    assertEqual(batchRequests().length, 1);
+
+    // Single requests join the batch in flight
+    mockServer.requests = [];
+    const makeRequest = client._makeRequest;
+    client._makeRequest = async (...args) => {
+      await new Promise(resolve => setTimeout(resolve, 20));
+      return makeRequest.apply(client, args);
+    };
+    const batchPromise = client.getPromptsForSession(['exp-b2', 'exp-b3'], 'session-b');
+    await new Promise(resolve => setTimeout(resolve, 5));
+    const joined = await client.getPromptForSession('exp-b3', 'session-b');
+    const { assignments: sessionPrompts } = await batchPromise;
+    client._makeRequest = makeRequest;
+    assertEqual(mockServer.getRequests().length, 1);
+    assertEqual(batchRequests()[0].data.session_id, 'session-b');
+    assertEqual(joined.assignment_id, sessionPrompts['exp-b3'].assignment_id);
+
+    // A failed batch request fails each experiment on its own
+    mockServer.setFailure('/api/v1/experiments/prompts/batch', 'POST');
+    const failed = await client.getPromptsForUser(['exp-b2', 'exp-b5', 'exp-b6'], 'user-c');
+    assertEqual(failed.assignments['exp-b2'], null);
+    assertEqual(failed.assignments['exp-b5'].prompt_content, 'Fallback b5');
+    assertEqual(failed.assignments['exp-b6'], null);
+    assertEqual(Object.keys(failed.errors).join(','), 'exp-b2,exp-b6');
+    assert(failed.errors['exp-b2'] instanceof NetworkError);
+    assertEqual(reported.length, 0);
+
+    client.destroy();
+    mockServer.clear();
+  });
+
+  // Test 58: Bulk event tracking
+  await asyncTest('trackOutcomes validates every item and sends the valid ones in batches', async () => {
+    mockServer.clear();
+    mockServer.setResponse('/api/v1/experiments/exp-bulk/prompt', 'POST', {
+      success: true,
+      data: { prompt_content: 'Bulk', variant_name: 'A', variant_id: 'variant-a', is_control: true, assignment_id: 'assignment-bulk' }
+    });
+
+    const client = createTestClient(mockServer, { fallbackPrompts: { 'exp-bulk-fallback': 'Fallback' } });
+    const batches = [];
+    const makeRequest = client._makeRequest;
+    client._makeRequest = async (method, path, data, requestOptions) => {
+      if (path !== '/api/v1/events/batch') {
+        return makeRequest.call(client, method, path, data, requestOptions);
+      }
+      batches.push(data.events);
+      if (batches.length === 2) {
+        throw new NetworkError('Mock network failure');
+      }
+      return {
+        success: true,
+        data: { results: data.events.map((event, i) => (event.score === 0 ? { error: 'Rejected', status_code: 422 } : { id: `event-${batches.length}-${i}` })) }
+      };
+    };
+
+    await client.getPromptForUser('exp-bulk', 'user-bulk');
+    await client.getRandomPrompt('exp-bulk-fallback'); // No mock response, so the fallback is served
+    const events = [];
+    for (let i = 0; i < 5; i++) {
+      events.push({ outcome: i % 2 ? 'failure' : 'success', experimentId: 'exp-bulk', userId: 'user-bulk', score: i });
+    }
+    events.push({ outcome: 'success', experimentId: 'exp-bulk', assignmentId: 'assignment-explicit', latencyMs: 120 });
+    events.push({ outcome: 'success', experimentId: 'exp-bulk-fallback' }); // Skipped by the fallback policy
+
+    await assertThrowsAsync(() => client.trackOutcomes('events'), ValidationError);
+    await assertThrowsAsync(() => client.trackOutcomes(events, { batchSize: 0 }), ValidationError);
+    assertEqual(batches.length, 0);
+
+    const summary = await client.trackOutcomes(events, { batchSize: 3 });
+    assertEqual(batches.length, 2);
+    assertEqual(batches[0].length, 3);
+    assertEqual(batches[0][1].assignment_id, 'assignment-bulk');
+    assertEqual(batches[0][1].outcome, 'failure');
+    assertEqual(batches[1][2].assignment_id, 'assignment-explicit');
+    assertEqual(batches[1][2].latency_ms, 120);
+
+    assertEqual(summary.sent, 2);
+    assertEqual(summary.failed, 4);
+    assertEqual(summary.skipped, 1);
+    assertEqual(summary.spooled, 0);
+    assertEqual(summary.results[0].status, 'failed'); // Rejected by the server
+    assertEqual(summary.results[0].error.statusCode, 422);
+    assertEqual(summary.results[1].data.id, 'event-1-1');
+    assert(summary.results[3].error instanceof NetworkError);
+    assertEqual(summary.results[6].status, 'skipped');
+    assertEqual(summary.results[6].ok, true);
+    assertEqual(summary.results[3].index, 3);
+    assertEqual(summary.results[3].ok, false);
+
+    // Invalid items are reported individually and the valid ones are still sent
+    const mixed = await client.trackOutcomes([
+      { outcome: 'success', experimentId: 'exp-bulk', assignmentId: 'assignment-ok-1', score: 5 },
+      { outcome: 'success', experimentId: 'exp-bulk', assignmentId: 'a', score: 11 },
+      { outcome: 'success', experimentId: 'exp-bulk', userId: 'user-unknown' },
+      { outcome: 'maybe', experimentId: 'exp-bulk', assignmentId: 'a' },
+      null,
+      { outcome: 'failure', experimentId: 'exp-bulk', assignmentId: 'assignment-ok-2', score: 3 }
+    ]);
+    assertEqual(batches.length, 3);
+    assertEqual(batches[2].map(event => event.assignment_id).join(','), 'assignment-ok-1,assignment-ok-2');
+    assertEqual(mixed.sent, 2);
+    assertEqual(mixed.invalid, 4);
+    assertEqual(mixed.results.map(result => result.status).join(','), 'sent,invalid,invalid,invalid,invalid,sent');
+    assert(mixed.results[1].error instanceof ValidationError);
+    assert(mixed.results[1].error.message.startsWith('events[1]: '));
+    assert(mixed.results[2].error instanceof AssignmentNotFoundError);
+    assertEqual(mixed.results[2].index, 2);
+    assertEqual(mixed.results[2].ok, false);
+    assertEqual(mixed.results[5].data.id, 'event-3-1');
+
+    // Empty input sends nothing
+    const empty = await client.trackOutcomes([]);
+    assertEqual(empty.results.length, 0);
+    assertEqual(batches.length, 3);
+
+    client.destroy();
+    mockServer.clear();
+  });
+
+  // Test 59: Idempotency keys
+  await asyncTest('Events carry an idempotency key through retries, queue and spool', async () => {
+    // Retries of one event send the same key
+    const client = new LaikaTestClient('test-api-key', {
+      baseUrl: 'http://localhost:3001',
+      retry: { maxAttempts: 3, initialDelay: 1, maxDelay: 10 }
+    });
+    const attempts = [];
+    client._sendRequest = async function(method, path, data, requestOptions = {}) {
+      attempts.push({ key: requestOptions.headers['Idempotency-Key'], body: data.idempotency_key });
+      if (attempts.length === 1) {
+        throw new NetworkError('Request timeout');
+      }
+      return { success: true, data: { id: 'event-idem' } };
+    };
+
+    await client.trackSuccess({ experimentId: 'exp-idem', assignmentId: 'assignment-idem' });
+    assertEqual(attempts.length, 2);
+    assert(/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/.test(attempts[0].key));
+    assertEqual(attempts[1].key, attempts[0].key);
+    assertEqual(attempts[0].body, attempts[0].key);
+
+    // Each logical event gets its own key unless one is given
+    await client.trackSuccess({ experimentId: 'exp-idem', assignmentId: 'assignment-idem' });
+    assert(attempts[2].key !== attempts[0].key);
+    await client.trackFailure({ experimentId: 'exp-idem', assignmentId: 'assignment-idem', idempotencyKey: 'job-7:row-42' });
+    assertEqual(attempts[3].key, 'job-7:row-42');
+    await assertThrowsAsync(
+      () => client.trackSuccess({ experimentId: 'exp-idem', assignmentId: 'assignment-idem', idempotencyKey: '' }),
+      ValidationError
+    );
+    await assertThrowsAsync(
+      () => client.trackSuccess({ experimentId: 'exp-idem', assignmentId: 'assignment-idem', idempotencyKey: 'k'.repeat(256) }),
+      ValidationError
+    );
+    client.destroy();
+
+    // Queued, bulk and spooled events keep their keys
+    const spoolDir = fs.mkdtempSync(path.join(os.tmpdir(), 'laika-spool-'));
+    const spoolFile = path.join(spoolDir, 'events.ndjson');
+    const batched = new LaikaTestClient('test-api-key', {
+      baseUrl: 'http://localhost:3001',
+      batching: { maxBatchSize: 10, flushInterval: 60000 },
+      spool: { directory: spoolDir, replayInterval: 60000 }
+    });
+    const sent = [];
+    batched._makeRequest = async function(method, requestPath, data) {
+      sent.push(...data.events);
+      throw new LaikaServiceError('Service unavailable', 503, {});
+    };
+
+    await batched.trackSuccess({ experimentId: 'exp-idem', assignmentId: 'assignment-idem', idempotencyKey: 'queued-1' });
+    await batched.trackSuccess({ experimentId: 'exp-idem', assignmentId: 'assignment-idem' });
+    assertEqual(batched.eventQueue.queue[0].idempotency_key, 'queued-1');
+    assertEqual((await batched.flush()).spooled, 2);
+    const summary = await batched.trackOutcomes([
+      { outcome: 'success', experimentId: 'exp-idem', assignmentId: 'assignment-idem', idempotencyKey: 'bulk-1' }
+    ]);
+    assertEqual(summary.spooled, 1);
+
+    const spooled = fs.readFileSync(spoolFile, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    assertEqual(spooled.map(event => event.idempotency_key).join(','), sent.map(event => event.idempotency_key).join(','));
+    assertEqual(spooled[0].idempotency_key, 'queued-1');
+    assert(spooled[1].idempotency_key.length === 36);
+    assertEqual(spooled[2].idempotency_key, 'bulk-1');
+
+    // Replays resend the recorded keys
+    const replayed = [];
+    batched._makeRequest = async function(method, requestPath, data) {
+      replayed.push(...data.events.map(event => event.idempotency_key));
+      return { success: true, data: {} };
+    };
+    await batched.replaySpool();
+    assertEqual(replayed.join(','), spooled.map(event => event.idempotency_key).join(','));
+
+    await batched.destroy();
+    if (fs.existsSync(spoolFile)) {
+      fs.unlinkSync(spoolFile);
+    }
+    fs.rmdirSync(spoolDir);
+  });
+
+  // Test 60: Flushing both queues
+  await asyncTest('flush sends queued events even when exposures fail', async () => {
+    mockServer.clear();
+    mockServer.setResponse('/api/v1/experiments/exp-flush/config', 'GET', {
+      success: true,
+      data: {
+        experiment_id: 'exp-flush',
+        status: 'active',
+        variants: [{ variant_id: 'v-a', variant_name: 'a', is_control: true, weight: 100, prompt_content: 'A' }]
+      }
+    });
+    mockServer.setFailure('/api/v1/exposures/batch', 'POST');
+    mockServer.setResponse('/api/v1/events/batch', 'POST', { success: true, data: {} });
+
+    const client = createTestClient(mockServer, {
+      localEvaluation: { exposureFlushInterval: 60000 },
+      batching: { flushInterval: 60000 },
+      onError: () => {}
+    });
+    await client.getPromptForUser('exp-flush', 'user-flush');
+    await client.trackSuccess({ experimentId: 'exp-flush', userId: 'user-flush' });
+
+    await assertThrowsAsync(() => client.flush(), NetworkError);
+    const eventBatches = mockServer.getRequests().filter(r => r.path === '/api/v1/events/batch');
+    assertEqual(eventBatches.length, 1);
+    assertEqual(eventBatches[0].data.events.length, 1);
+    assertEqual(client.eventQueue.size, 0);
+
+    await client.destroy();
+    mockServer.clear();
+  });
+
+  // Test 61: Retry-After headers and malformed success bodies over HTTP
+  await asyncTest('Retry-After is parsed and malformed 2xx bodies are not retried', async () => {
+    const http = require('http');
+    const responses = [];
+    let received = 0;
+    const server = http.createServer((req, res) => {
+      received++;
+      req.resume();
+      const { status, headers = {}, body } = responses.shift();
+      res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+      res.end(body);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+    const createClient = retry => new LaikaTestClient('test-api-key', { baseUrl, retry });
+    const rateLimited = headers => ({ status: 429, headers, body: JSON.stringify({ error: 'Too many requests' }) });
+    const assignment = JSON.stringify({ success: true, data: { assignment_id: 'retry-after-1' } });
+
+    try {
+      // Seconds and HTTP dates
+      const single = createClient({ maxAttempts: 1 });
+      responses.push(rateLimited({ 'Retry-After': '120' }));
+      let error = await single.getRandomPrompt('exp-ra').catch(e => e);
+      assert(error instanceof LaikaServiceError);
+      assertEqual(error.statusCode, 429);
+      assertEqual(error.retryAfter, 120000);
+
+      responses.push(rateLimited({ 'Retry-After': new Date(Date.now() + 30000).toUTCString() }));
+      error = await single.getRandomPrompt('exp-ra').catch(e => e);
+      assert(error.retryAfter > 25000 && error.retryAfter <= 30000, `Unexpected retryAfter ${error.retryAfter}`);
+
+      responses.push(rateLimited({ 'Retry-After': 'soon' }));
+      error = await single.getRandomPrompt('exp-ra').catch(e => e);
+      assertEqual(error.retryAfter, undefined);
+      single.destroy();
+
+      // A short Retry-After is waited out; one past maxDelay is not
+      const retrying = createClient({ maxAttempts: 3, initialDelay: 1, maxDelay: 1000 });
+      received = 0;
+      responses.push(rateLimited({ 'Retry-After': '0' }), { status: 200, body: assignment });
+      const result = await retrying.getRandomPrompt('exp-ra');
+      assertEqual(result.assignment_id, 'retry-after-1');
+      assertEqual(received, 2);
+
+      received = 0;
+      responses.push(rateLimited({ 'Retry-After': '120' }));
+      await assertThrowsAsync(() => retrying.getRandomPrompt('exp-ra'), LaikaServiceError);
+      assertEqual(received, 1);
+
+      // The server accepted the request, so a malformed body is final
+      received = 0;
+      responses.push({ status: 200, body: '<html>OK</html>' });
+      error = await retrying.trackSuccess({ experimentId: 'exp-ra', assignmentId: 'assignment-ra' }).catch(e => e);
+      assert(error instanceof LaikaServiceError, `Unexpected ${error && error.name}`);
+      assertEqual(error.statusCode, 200);
+      assertEqual(received, 1);
+      retrying.destroy();
+    } finally {
+      if (server.closeAllConnections) {
+        server.closeAllConnections();
+      }
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+
+  // Test 62: Lookups through slow async stores are coalesced
+  await asyncTest('Concurrent callers share one lookup with a slow assignment store', async () => {
+    const shared = new Map();
+    const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+    const client = new LaikaTestClient('test-api-key', {
+      assignmentStore: {
+        async get(key) { await delay(10); return shared.has(key) ? shared.get(key) : null; },
+        async set(key, value) { await delay(10); shared.set(key, value); },
+        async delete(key) { shared.delete(key); },
+        async clear() { shared.clear(); }
+      }
+    });
+    let served = 0;
+    client._makeRequest = async function(method, path) {
+      served++;
+      const experimentId = path.split('/')[4];
+      return { success: true, data: { assignment_id: `${experimentId}-${served}` } };
+    };
+
+    // The second caller starts while the first is still reading the store, and
+    // the multi-experiment call only fetches the experiment nobody is resolving
+    const first = client.getPromptForUser('exp-slow', 'user-slow');
+    await delay(5);
+    const [a, b, many] = await Promise.all([
+      first,
+      client.getPromptForUser('exp-slow', 'user-slow'),
+      client.getPromptsForUser(['exp-slow', 'exp-other'], 'user-slow')
+    ]);
+
+    assertEqual(served, 2);
+    assertEqual(a.assignment_id, 'exp-slow-1');
+    assertEqual(b.assignment_id, 'exp-slow-1');
+    assertEqual(many.assignments['exp-slow'].assignment_id, 'exp-slow-1');
+    assertEqual(many.assignments['exp-other'].assignment_id, 'exp-other-2');
+    assertEqual(shared.get('exp-slow:user-slow:null').assignment.assignment_id, 'exp-slow-1');
+
+    client.destroy();
+  });
+
+  // Test 63: Tracking lookups do not skew cache statistics
+  await asyncTest('Tracking lookups leave cache hits and misses alone', async () => {
+    const client = createTestClient(mockServer);
+    mockServer.setResponse('/api/v1/experiments/exp-stats/prompt', 'POST', {
+      success: true,
+      data: { assignment_id: 'stats-123' }
+    });
+    mockServer.setResponse('/api/v1/events', 'POST', { success: true, data: { id: 'event-1' } });
+
+    await client.getPromptForUser('exp-stats', 'user-stats');
+    await client.getPromptForUser('exp-stats', 'user-stats');
+
+    // Falls back from the user+session key to the user key
+    await client.trackSuccess({ experimentId: 'exp-stats', userId: 'user-stats', sessionId: 'session-stats' });
+    const eventRequest = mockServer.getRequests().find(r => r.path === '/api/v1/events');
+    assertEqual(eventRequest.data.assignment_id, 'stats-123');
+
+    const stats = client.getCacheStats();
+    assertEqual(stats.hits, 1);
+    assertEqual(stats.misses, 1);
+
+    client.destroy();
+    mockServer.clear();
+  });
+
   // Print test results
   console.log(`\n📊 Test Results: ${passCount}/${testCount} tests passed`);
   